@@ -0,0 +1,147 @@
+const logger = require('../logger');
+const { dispatchSubcommand } = require('../commands');
+const { resolveSettings, rateLimitFor } = require('../settings');
+const { isDMChannel, verifyChannelAccess } = require('../channels');
+const { parseRequestOptions, parseTarget, parseBulkTargets } = require('../requests');
+const { postRatingMessage, postTargetedRatingMessage, sendBulkRequests } = require('../bulkRequests');
+const { emitRatingEvent } = require('../webhooks');
+const { recordEvent } = require('../auditLog');
+
+// `/rate`: run a subcommand, or post a rating request in the channel, in a
+// DM, or by DM to several people at once
+function registerRateCommand(app) {
+  app.command('/rate', async ({ command, ack, respond, client, context }) => {
+    const { store } = context;
+    try {
+      await ack();
+
+      // Subcommands such as `/rate stats` don't create a rating request
+      if (await dispatchSubcommand({ command, respond, client, store })) {
+        return;
+      }
+
+      const settings = resolveSettings(store, command.channel_id);
+      if (store.checkRateLimit(command.user_id, rateLimitFor(settings))) {
+        recordEvent(store, { type: 'rejected', actorId: command.user_id, channelId: command.channel_id, reason: 'Rate limit exceeded' });
+        await respond({
+          response_type: 'ephemeral',
+          text: '⚠️ Rate limit exceeded. Please try again later.'
+        });
+        return;
+      }
+
+      const commanderId = command.user_id;
+      const channelId = command.channel_id;
+      const isDM = isDMChannel(channelId);
+
+      // Request options such as quorum:N or expires:48h, and a reason,
+      // plus either an optional `@user` who alone may submit the rating, or
+      // several users or a user group to ask separately
+      let options;
+      let anonymousByDefault;
+      let targetUserId;
+      let bulkTargetIds;
+      try {
+        const parsed = await parseRequestOptions(client, command, store);
+        options = parsed.options;
+        anonymousByDefault = parsed.anonymousByDefault;
+        bulkTargetIds = await parseBulkTargets(client, command, parsed.targets, options);
+        targetUserId = bulkTargetIds ? null : await parseTarget(client, command, parsed.targets, options);
+      } catch (optionError) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `⚠️ ${optionError.message}`
+        });
+        return;
+      }
+
+      if (bulkTargetIds) {
+        await sendBulkRequests({
+          client,
+          store,
+          requesterId: commanderId,
+          targetUserIds: bulkTargetIds,
+          options,
+          limit: rateLimitFor(settings),
+          respond
+        });
+        return;
+      }
+
+      if (isDM) {
+        logger.info(`DM channel detected: ${channelId}`);
+
+        if (options.quorum || options.anonymous) {
+          await respond({
+            response_type: 'ephemeral',
+            text: '⚠️ Multi-reviewer and anonymous requests can only be made in channels.'
+          });
+          return;
+        }
+
+        // DM requests always need a target user
+        if (!targetUserId) {
+          await respond({
+            response_type: 'ephemeral',
+            text: '⚠️ Please specify a valid user to rate using @username format.'
+          });
+          return;
+        }
+
+        // Create the rating in our data store
+        store.addRateLimitEntry(commanderId);
+        const rating = store.createRating(commanderId, channelId, { ...options, targetUserId });
+
+        logger.info(`New rating request created by ${commanderId} for user ${targetUserId}`);
+
+        // Send a regular message to the DM channel (visible to both users)
+        const result = await postTargetedRatingMessage(client, channelId, rating);
+        const created = store.setRequestMessage(rating.id, result.ts);
+        emitRatingEvent(store, 'rating.created', created);
+        recordEvent(store, { type: 'created', rating: created, actorId: commanderId, after: created });
+
+        // Optionally, send an ephemeral message to confirm the request
+        await respond({
+          response_type: 'ephemeral',
+          text: `Your rating request has been sent to <@${targetUserId}>.`
+        });
+      } else {
+        const hasAccess = await verifyChannelAccess(client, channelId);
+        if (!hasAccess) {
+          await respond({
+            response_type: 'ephemeral',
+            text: '⚠️ The bot does not have access to this channel. Please add the bot to the channel and try again.'
+          });
+          return;
+        }
+
+        store.addRateLimitEntry(commanderId);
+        // Targeted, bulk and DM requests name their reviewer, so the channel's
+        // anonymous default only applies to open requests
+        const rating = store.createRating(commanderId, channelId, {
+          ...options,
+          ...(anonymousByDefault && !targetUserId && { anonymous: true }),
+          ...(targetUserId && { targetUserId })
+        });
+
+        logger.info(`New rating request created by ${commanderId} in channel ${channelId}` +
+          (targetUserId ? ` for user ${targetUserId}` : ''));
+
+        const result = targetUserId
+          ? await postTargetedRatingMessage(client, channelId, rating)
+          : await postRatingMessage(client, channelId, rating);
+        const created = store.setRequestMessage(rating.id, result.ts);
+        emitRatingEvent(store, 'rating.created', created);
+        recordEvent(store, { type: 'created', rating: created, actorId: commanderId, after: created });
+      }
+    } catch (error) {
+      logger.error('Error handling rate command:', error);
+      await respond({
+        response_type: 'ephemeral',
+        text: `Sorry, something went wrong. ${error.message}`
+      });
+    }
+  });
+}
+
+module.exports = { registerRateCommand };
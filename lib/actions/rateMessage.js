@@ -0,0 +1,71 @@
+const logger = require('../logger');
+const { requestMessageText, requestMessageBlocks } = require('../blocks');
+const { resolveSettings, rateLimitFor } = require('../settings');
+const { emitRatingEvent } = require('../webhooks');
+const { recordEvent } = require('../auditLog');
+
+const SHORTCUT_CALLBACK_ID = 'rate_message';
+
+// Slack errors meaning the bot can't post where the message is
+const NO_ACCESS_ERRORS = ['channel_not_found', 'not_in_channel', 'is_archived'];
+
+// "Rate this message" message shortcut: a rating request for the selected
+// message, posted as a reply in its thread. The rating stores the message's
+// permalink and author, and its result is announced in the same thread.
+function registerRateMessageShortcut(app) {
+  app.shortcut(SHORTCUT_CALLBACK_ID, async ({ shortcut, ack, respond, client, context }) => {
+    await ack();
+    const { store } = context;
+    const requesterId = shortcut.user.id;
+    const channelId = shortcut.channel.id;
+    const { message } = shortcut;
+    const reply = text => respond({ response_type: 'ephemeral', text });
+
+    let rating;
+    try {
+      const settings = resolveSettings(store, channelId);
+      if (store.checkRateLimit(requesterId, rateLimitFor(settings))) {
+        recordEvent(store, { type: 'rejected', actorId: requesterId, channelId: channelId, reason: 'Rate limit exceeded' });
+        await reply('⚠️ Rate limit exceeded. Please try again later.');
+        return;
+      }
+
+      const { permalink } = await client.chat.getPermalink({ channel: channelId, message_ts: message.ts });
+      const threadTs = message.thread_ts || message.ts;
+
+      store.addRateLimitEntry(requesterId);
+      // Channel settings decide anonymity and the star scale, as for `/rate`
+      rating = store.createRating(requesterId, channelId, {
+        message: { ts: message.ts, permalink, authorId: message.user || null },
+        threadTs,
+        ...(settings.anonymous && { anonymous: true }),
+        ...(settings.starScale !== 5 && { scale: settings.starScale })
+      });
+
+      const result = await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: threadTs,
+        text: requestMessageText(rating),
+        blocks: requestMessageBlocks(rating),
+        unfurl_links: false,
+        unfurl_media: false
+      });
+      const created = store.setRequestMessage(rating.id, result.ts);
+
+      logger.info(`New rating request created by ${requesterId} for message ${message.ts} in channel ${channelId}`);
+      emitRatingEvent(store, 'rating.created', created);
+      recordEvent(store, { type: 'created', rating: created, actorId: requesterId, after: created });
+    } catch (error) {
+      logger.error('Error handling rate message shortcut:', error);
+      if (rating) {
+        store.deleteRating(rating.id);
+        recordEvent(store, { type: 'deleted', rating, before: rating, reason: 'Request message could not be posted' });
+      }
+      await reply(NO_ACCESS_ERRORS.includes(error.data?.error)
+        ? '⚠️ The bot does not have access to this channel. Please add the bot to the channel and try again.'
+        : `Sorry, something went wrong. ${error.message}`);
+    }
+  });
+}
+
+module.exports = { registerRateMessageShortcut };
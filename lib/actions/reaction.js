@@ -0,0 +1,56 @@
+const logger = require('../logger');
+const { resolveSettings } = require('../settings');
+const { completeRating, validateSubmission, starScore, reportError } = require('./submit');
+
+// Reaction names carry the skin tone, e.g. "thumbsup::skin-tone-2"
+function baseEmoji(reaction) {
+  return reaction.replace(/::skin-tone-\d$/, '');
+}
+
+// Rate a request by reacting to its message: the Nth of the channel's reaction
+// emoji (:one: to :keycap_ten: by default) gives N stars. Goes through the
+// same checks and completion as the Submit Rating modal.
+function registerReactionRating(app) {
+  app.event('reaction_added', async ({ event, client, context }) => {
+    const { store } = context;
+    const { item, user: reviewerId } = event;
+    if (item.type !== 'message') return;
+
+    const rating = store.findRatingByMessage(item.channel, item.ts);
+    if (!rating) return;
+
+    const settings = resolveSettings(store, item.channel);
+    const stars = settings.reactionEmoji.indexOf(baseEmoji(event.reaction)) + 1;
+    if (stars === 0) return; // Not a rating emoji
+
+    try {
+      if (rating.rubric) {
+        throw new Error('Rubric ratings need a score per criterion, so please use the Submit Rating button');
+      }
+      // Everyone can see who reacted
+      if (rating.anonymous) {
+        throw new Error('Anonymous requests can only be rated with the Submit Rating button');
+      }
+      const scale = rating.scale || 5;
+      if (stars > scale) {
+        throw new Error(`This request is rated from 1 to ${scale} stars`);
+      }
+
+      const current = validateSubmission(store, rating.id, reviewerId);
+      logger.info(`Rating ${rating.id} rated by reaction :${event.reaction}:`);
+      await completeRating({
+        client,
+        store,
+        rating: current,
+        reviewerId,
+        ...starScore(current, stars),
+        messageTs: current.messageTs
+      });
+    } catch (error) {
+      logger.error('Error rating by reaction:', error);
+      await reportError({ client, userId: reviewerId, channelId: item.channel, message: error.message });
+    }
+  });
+}
+
+module.exports = { registerReactionRating };
@@ -0,0 +1,189 @@
+const logger = require('../logger');
+const { publishHome } = require('../home');
+const { ratingSubject } = require('../blocks');
+const { ratedUserId } = require('../stats');
+const { isMultiReview } = require('../reviews');
+const { editDeadline } = require('../expiry');
+const { isReviewedBy, reviewerFields } = require('../anonymity');
+const { resolveSettings } = require('../settings');
+const { recordEvent } = require('../auditLog');
+const {
+  EDIT_MODAL_CALLBACK_ID,
+  readScores,
+  buildRatingModal,
+  ratingResultMessages,
+  revisionControls,
+  reportError
+} = require('./submit');
+
+// Look up a completed rating and check that this user may still change it
+function validateRevision(store, ratingId, userId, now = new Date()) {
+  const rating = store.getRating(ratingId);
+  if (!rating) {
+    throw new Error('Rating not found');
+  }
+
+  if (rating.status === 'retracted') {
+    throw new Error('This rating has already been retracted');
+  }
+
+  if (rating.status !== 'completed' || isMultiReview(rating)) {
+    throw new Error('This rating can no longer be changed');
+  }
+
+  if (!isReviewedBy(rating, rating.id, userId)) {
+    throw new Error('Only the reviewer can edit or retract this rating');
+  }
+
+  const settings = resolveSettings(store, rating.channelId);
+  if (!settings.editWindowMinutes || now >= editDeadline(rating, settings)) {
+    throw new Error('The time for changing this rating has passed');
+  }
+
+  return rating;
+}
+
+// The stored scores as modal selections, keyed by input block ID
+function currentSelections(rating) {
+  if (rating.rubric) {
+    return Object.fromEntries(rating.rubric.criteria.map(criterion =>
+      [`criterion_${criterion.id}`, String(rating.scores[criterion.id])]));
+  }
+  return { stars: String(rating.rawScore || rating.rating) };
+}
+
+function retractedMessages(rating, reviewerId) {
+  const text = rating.anonymous
+    ? `An anonymous rating of ${ratingSubject(rating)} was retracted`
+    : `<@${reviewerId}> retracted their rating of ${ratingSubject(rating)}`;
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `↩️ ${text}` }
+    }
+  ];
+  return { text, blocks, notification: { text, blocks } };
+}
+
+// Rewrite the result message and the requester's notification in place
+async function updateResultMessages(client, rating, { text, blocks, notification }) {
+  const { result, notification: sent } = rating.completionMessages || {};
+  const updates = [];
+  if (result) updates.push({ ...result, text, blocks });
+  if (sent) updates.push({ ...sent, ...notification });
+
+  for (const update of updates) {
+    try {
+      await client.chat.update(update);
+    } catch (error) {
+      logger.error('Error updating rating message:', error);
+    }
+  }
+}
+
+async function refreshHomes(client, store, rating, reviewerId) {
+  await Promise.all([...new Set([reviewerId, rating.requesterId, ratedUserId(rating)])].map(userId =>
+    publishHome(client, store, userId).catch(error => logger.error('Error publishing home view:', error))
+  ));
+}
+
+// "Edit" and "Retract" on a completed rating's result message. Only the
+// reviewer can use them, and only within the channel's edit window. Each
+// change is kept as a revision on the rating.
+function registerReviseActions(app) {
+  app.action('edit_rating', async ({ action, body, ack, respond, client, context }) => {
+    await ack();
+    const { store } = context;
+
+    try {
+      const rating = validateRevision(store, action.value, body.user.id);
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildRatingModal({ rating, selections: currentSelections(rating), edit: true })
+      });
+    } catch (error) {
+      logger.error('Error opening rating edit:', error);
+      await reportError({ respond, client, userId: body.user.id, message: error.message });
+    }
+  });
+
+  app.action('retract_rating', async ({ action, body, ack, respond, client, context }) => {
+    await ack();
+    const { store } = context;
+    const reviewerId = body.user.id;
+
+    try {
+      const rating = validateRevision(store, action.value, reviewerId);
+      const now = new Date();
+      const retracted = store.reviseRating(rating.id, { status: 'retracted', retractedAt: now }, {
+        type: 'retracted',
+        ...reviewerFields(rating, reviewerId),
+        at: now
+      });
+      if (!retracted) throw new Error('This rating can no longer be changed');
+      recordEvent(store, { type: 'retracted', rating, actorId: reviewerId, before: rating, after: retracted });
+
+      logger.info(`Rating ${rating.id} retracted by its reviewer`);
+      await updateResultMessages(client, retracted, retractedMessages(retracted, reviewerId));
+      await refreshHomes(client, store, retracted, reviewerId);
+    } catch (error) {
+      logger.error('Error retracting rating:', error);
+      await reportError({ respond, client, userId: reviewerId, message: error.message });
+    }
+  });
+
+  app.view(EDIT_MODAL_CALLBACK_ID, async ({ ack, body, view, client, context }) => {
+    const { store } = context;
+    const { ratingId } = JSON.parse(view.private_metadata);
+    const reviewerId = body.user.id;
+    const values = view.state.values;
+
+    let rating;
+    try {
+      rating = validateRevision(store, ratingId, reviewerId);
+    } catch (error) {
+      // Attach the error to the first input so it shows in the modal
+      const stored = store.getRating(ratingId);
+      const firstBlock = stored?.rubric ? `criterion_${stored.rubric.criteria[0].id}` : 'stars';
+      await ack({ response_action: 'errors', errors: { [firstBlock]: error.message } });
+      return;
+    }
+
+    const { score, rawScore, scores, errors } = readScores(rating, values);
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const comment = values.comment?.comment?.value?.trim();
+      const edited = store.reviseRating(rating.id, {
+        rating: score,
+        rawScore: rawScore || null,
+        scores: scores || null,
+        comment: comment || null
+      }, {
+        type: 'edited',
+        ...reviewerFields(rating, reviewerId),
+        at: new Date()
+      });
+      if (!edited) throw new Error('This rating can no longer be changed');
+      recordEvent(store, { type: 'edited', rating, actorId: reviewerId, before: rating, after: edited });
+
+      logger.info(`Rating ${rating.id} edited by its reviewer: now ${score} stars`);
+      const messages = ratingResultMessages(edited, reviewerId);
+      await updateResultMessages(client, edited, {
+        ...messages,
+        blocks: [...messages.blocks, ...revisionControls(store, edited)]
+      });
+      await refreshHomes(client, store, edited, reviewerId);
+    } catch (error) {
+      logger.error('Error editing rating:', error);
+      await reportError({ client, userId: reviewerId, channelId: rating.channelId, message: error.message });
+    }
+  });
+}
+
+module.exports = { registerReviseActions, validateRevision };
@@ -0,0 +1,665 @@
+const logger = require('../logger');
+const { isDMChannel } = require('../channels');
+const { publishHome } = require('../home');
+const {
+  starOptions,
+  commentBlock,
+  formatScore,
+  ratingSubject,
+  requestMessageText,
+  requestMessageBlocks,
+  revisionControlBlocks
+} = require('../blocks');
+const { isMultiReview, hasReviewed, isQuorumMet, summarizeScores } = require('../reviews');
+const { isExpired, editDeadline } = require('../expiry');
+const { reviewerFields } = require('../anonymity');
+const { scoreOptions, normalizeScore, overallScore, formatBreakdown } = require('../rubrics');
+const { resolveSettings } = require('../settings');
+const { ratedUserId } = require('../stats');
+const { emitRatingEvent } = require('../webhooks');
+const { recordEvent } = require('../auditLog');
+const { encodeRequestState, isRequestState, ratingIdFromState } = require('../requestState');
+
+const MODAL_CALLBACK_ID = 'submit_rating_modal';
+const EDIT_MODAL_CALLBACK_ID = 'edit_rating_modal';
+
+function stars(score) {
+  return '⭐'.repeat(Math.round(score));
+}
+
+// Star ratings on a custom scale show the raw score, e.g. "7/10"
+function displayScore(rating, score, rawScore) {
+  return rawScore ? `${rawScore}/${rating.scale}` : formatScore(score);
+}
+
+function completionBlocks(text, { comment, breakdown } = {}) {
+  const blocks = [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Rating submitted on <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} at {time}|${new Date().toLocaleString()}>`
+        }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text
+      }
+    }
+  ];
+  if (breakdown) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: breakdown }]
+    });
+  }
+  if (comment) {
+    blocks.push(commentBlock(comment));
+  }
+  return blocks;
+}
+
+// Report an error to the user. Actions from the App Home have no response_url,
+// so fall back to a message in the app's DM.
+async function reportError({ respond, client, userId, channelId, message }) {
+  if (respond) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Error: ${message}`
+    });
+    return;
+  }
+
+  if (channelId) {
+    try {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: `Error: ${message}`
+      });
+      return;
+    } catch (error) {
+      logger.error('Error posting ephemeral message:', error);
+    }
+  }
+
+  await client.chat.postMessage({
+    channel: userId,
+    text: `Error: ${message}`
+  });
+}
+
+// Look up a rating and check that this reviewer may submit it
+function checkSubmission(store, ratingId, reviewerId) {
+  const rating = store.getRating(ratingId);
+  if (!rating) {
+    throw new Error('Rating request not found');
+  }
+
+  if (isExpired(rating)) {
+    throw new Error('This rating request has expired');
+  }
+
+  if (rating.status !== 'pending') {
+    throw new Error('This rating has already been submitted');
+  }
+
+  if (rating.requesterId === reviewerId) {
+    throw new Error('You cannot rate yourself');
+  }
+
+  if (rating.message && rating.message.authorId === reviewerId) {
+    throw new Error('You cannot rate your own message');
+  }
+
+  if (rating.targetUserId && rating.targetUserId !== reviewerId) {
+    throw new Error(`This rating was requested from <@${rating.targetUserId}>, so only they can submit it`);
+  }
+
+  if (isMultiReview(rating)) {
+    if (rating.requiredReviewerIds && !rating.requiredReviewerIds.includes(reviewerId)) {
+      throw new Error('You are not one of the requested reviewers');
+    }
+    if (hasReviewed(rating, reviewerId)) {
+      throw new Error('You have already rated this request');
+    }
+  }
+
+  return rating;
+}
+
+// checkSubmission, recording refusals in the audit log
+function validateSubmission(store, ratingId, reviewerId) {
+  try {
+    return checkSubmission(store, ratingId, reviewerId);
+  } catch (error) {
+    const rating = store.getRating(ratingId);
+    recordEvent(store, { type: 'rejected', rating, actorId: reviewerId, reason: error.message });
+    throw error;
+  }
+}
+
+// The store refuses a write that lost a race with another submission. Report
+// why, using the same checks as before the modal opened.
+function rejectStaleSubmission(store, ratingId, reviewerId) {
+  validateSubmission(store, ratingId, reviewerId);
+  throw new Error('This rating has already been submitted');
+}
+
+// Selections already made on the request message, keyed by input block ID
+function selectionsFromState(rating, stateValues) {
+  const state = stateValues[`rating_${rating.id}`] || {};
+  const selections = {};
+  if (rating.rubric) {
+    for (const criterion of rating.rubric.criteria) {
+      selections[`criterion_${criterion.id}`] = state[`criterion_${criterion.id}`]?.selected_option?.value;
+    }
+  } else {
+    selections.stars = state.star_rating?.selected_option?.value;
+  }
+  return selections;
+}
+
+// One input per rubric criterion, or a single star selection
+function scoreInputBlocks(rating, selections) {
+  const inputs = rating.rubric
+    ? rating.rubric.criteria.map(criterion => ({
+      blockId: `criterion_${criterion.id}`,
+      label: `${criterion.label} (1–${criterion.scale})`,
+      element: { type: "static_select", action_id: "score", options: scoreOptions(criterion) }
+    }))
+    : [{
+      blockId: "stars",
+      label: "Rating",
+      element: { type: "radio_buttons", action_id: "star_rating", options: starOptions(rating.scale) }
+    }];
+
+  return inputs.map(({ blockId, label, element }) => {
+    const initialOption = element.options.find(option => option.value === selections[blockId]);
+    if (initialOption) {
+      element.initial_option = initialOption;
+    }
+    return {
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: label },
+      element
+    };
+  });
+}
+
+// A star selection as a score on the 1–5 range, plus the raw score for
+// custom star scales
+function starScore(rating, raw) {
+  if (rating.scale) {
+    return { score: Math.round(normalizeScore(raw, rating.scale) * 100) / 100, rawScore: raw };
+  }
+  return { score: raw };
+}
+
+// Read the submitted scores from the modal. Returns the overall score on the
+// 1–5 range, the raw score for custom star scales, the per-criterion scores
+// for rubric ratings, and errors for missing inputs.
+function readScores(rating, values) {
+  const errors = {};
+
+  if (!rating.rubric) {
+    const selected = values.stars?.star_rating?.selected_option?.value;
+    if (!selected) {
+      errors.stars = 'Please select a rating before submitting';
+      return { errors };
+    }
+    return { ...starScore(rating, parseInt(selected)), errors };
+  }
+
+  const scores = {};
+  for (const criterion of rating.rubric.criteria) {
+    const selected = values[`criterion_${criterion.id}`]?.score?.selected_option?.value;
+    if (!selected) {
+      errors[`criterion_${criterion.id}`] = `Please score ${criterion.label}`;
+    } else {
+      scores[criterion.id] = parseInt(selected);
+    }
+  }
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+  return { score: overallScore(rating.rubric, scores), scores, errors };
+}
+
+// The rating modal, or with `edit` the same inputs filled in with a submitted
+// rating so the reviewer can change it
+function buildRatingModal({ rating, messageTs, selections, edit = false }) {
+  const commentInput = {
+    type: "plain_text_input",
+    action_id: "comment",
+    multiline: true,
+    max_length: 1000
+  };
+  if (edit && rating.comment) {
+    commentInput.initial_value = rating.comment;
+  }
+
+  return {
+    type: "modal",
+    callback_id: edit ? EDIT_MODAL_CALLBACK_ID : MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify({ ratingId: rating.id, messageTs, state: encodeRequestState(rating) }),
+    title: { type: "plain_text", text: edit ? "Edit Rating" : "Submit Rating" },
+    submit: { type: "plain_text", text: edit ? "Save" : "Submit" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `Rate ${ratingSubject(rating)}` }
+      },
+      ...scoreInputBlocks(rating, selections),
+      {
+        type: "input",
+        block_id: "comment",
+        optional: true,
+        label: { type: "plain_text", text: "Comment" },
+        hint: {
+          type: "plain_text",
+          text: rating.anonymous
+            ? "Optional. Shared with the person you're rating, without your name."
+            : "Optional. Shared with the person you're rating."
+        },
+        element: commentInput
+      }
+    ]
+  };
+}
+
+function summaryBlocks(rating, summary) {
+  // Submission order could hint at who said what, so sort anonymous reviews
+  const ordered = rating.anonymous
+    ? [...rating.reviews].sort((x, y) => y.rating - x.rating)
+    : rating.reviews;
+  const reviews = ordered.map(review => {
+    const reviewer = review.reviewerId ? `<@${review.reviewerId}> ` : '';
+    const breakdown = review.scores ? ` (${formatBreakdown(rating.rubric, review.scores)})` : '';
+    return `• ${reviewer}${displayScore(rating, review.rating, review.rawScore)} ${stars(review.rating)}${breakdown}`;
+  });
+
+  let breakdown = null;
+  if (rating.rubric) {
+    breakdown = '*By criterion* ' + rating.rubric.criteria.map(criterion => {
+      const mean = rating.reviews.reduce((sum, review) => sum + review.scores[criterion.id], 0) / rating.reviews.length;
+      return `${criterion.label} ${formatScore(mean)}/${criterion.scale}`;
+    }).join(' · ');
+  }
+
+  const blocks = completionBlocks(
+    `${ratingSubject(rating)} received ${summary.count} ratings\n` +
+    `*Mean* ${summary.mean.toFixed(2)} ⭐ · *Median* ${formatScore(summary.median)} · ` +
+    `*Spread* ${formatScore(summary.min)}–${formatScore(summary.max)} (σ ${summary.stdDev.toFixed(2)})`,
+    { breakdown }
+  );
+  blocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: reviews.join('\n') }
+  });
+  for (const review of ordered.filter(r => r.comment)) {
+    blocks.push(commentBlock(review.comment, review.reviewerId));
+  }
+  return blocks;
+}
+
+// Announce a finished request: a completion message in channels, or an
+// updated request message plus a DM to the rated user in DMs. Channel settings
+// decide whether the result is public and what happens to the request message.
+// Requests posted in a thread announce their result in the same thread.
+// `controls` go under the result where everyone sees it; ephemeral results
+// can't be updated later, so they get none. Returns the messages that can be
+// updated later: { result, notification }, each { channel, ts } or null.
+async function announceCompletion({ client, store, rating, messageTs, text, blocks, notification, recipients, controls = [] }) {
+  const messages = { result: null, notification: null };
+
+  if (isDMChannel(rating.channelId)) {
+    // Replace the request message to show the rating was submitted
+    if (messageTs) {
+      try {
+        await client.chat.update({
+          channel: rating.channelId,
+          ts: messageTs,
+          text,
+          blocks: [...blocks, ...controls]
+        });
+        messages.result = { channel: rating.channelId, ts: messageTs };
+      } catch (error) {
+        logger.error('Error updating message:', error);
+      }
+    }
+
+    // Attempt to notify the rated user through a DM
+    try {
+      const targetDM = await client.conversations.open({
+        users: ratedUserId(rating)
+      });
+
+      if (targetDM.ok && targetDM.channel) {
+        const posted = await client.chat.postMessage({
+          channel: targetDM.channel.id,
+          ...notification
+        });
+        messages.notification = { channel: targetDM.channel.id, ts: posted.ts };
+      }
+    } catch (dmError) {
+      logger.error('Error sending DM notification:', dmError);
+    }
+  } else {
+    const settings = resolveSettings(store, rating.channelId);
+    const thread = rating.threadTs ? { thread_ts: rating.threadTs } : {};
+
+    // Post the final rating message
+    if (settings.resultVisibility === 'ephemeral') {
+      for (const userId of new Set(recipients)) {
+        await client.chat.postEphemeral({
+          channel: rating.channelId,
+          user: userId,
+          ...thread,
+          text,
+          blocks
+        });
+      }
+    } else {
+      const posted = await client.chat.postMessage({
+        channel: rating.channelId,
+        ...thread,
+        text,
+        blocks: [...blocks, ...controls]
+      });
+      messages.result = { channel: rating.channelId, ts: posted.ts };
+    }
+
+    // Delete the original message, or strip its buttons
+    if (messageTs) {
+      try {
+        if (settings.deleteOriginal) {
+          await client.chat.delete({
+            channel: rating.channelId,
+            ts: messageTs
+          });
+        } else {
+          await client.chat.update({
+            channel: rating.channelId,
+            ts: messageTs,
+            text: requestMessageText(rating),
+            blocks: [
+              {
+                type: "section",
+                text: { type: "mrkdwn", text: requestMessageText(rating) }
+              },
+              {
+                type: "context",
+                elements: [{ type: "mrkdwn", text: '✅ Rating submitted' }]
+              }
+            ]
+          });
+        }
+      } catch (error) {
+        logger.error('Error updating original message:', error);
+      }
+    }
+  }
+
+  return messages;
+}
+
+// Add one review to a multi-reviewer request. The request message shows live
+// progress until the quorum is met, then a summary replaces it.
+async function recordReview({ client, store, rating, reviewerId, score, rawScore, scores, comment, messageTs }) {
+  const updated = store.addReview(rating.id, {
+    ...reviewerFields(rating, reviewerId),
+    rating: score,
+    rawScore: rawScore || null,
+    scores: scores || null,
+    comment: comment || null,
+    submittedAt: new Date()
+  });
+  if (!updated) rejectStaleSubmission(store, rating.id, reviewerId);
+
+  const reviewerLog = rating.anonymous ? 'anonymous reviewer' : reviewerId;
+  logger.info(`Review added: ${reviewerLog} rated ${ratedUserId(rating)} with ${score} stars (${updated.reviews.length} of ${updated.quorum})`);
+
+  if (!isQuorumMet(updated)) {
+    recordEvent(store, { type: 'submitted', rating, actorId: reviewerId, before: rating, after: updated });
+    if (messageTs) {
+      try {
+        await client.chat.update({
+          channel: rating.channelId,
+          ts: messageTs,
+          text: requestMessageText(updated),
+          blocks: requestMessageBlocks(updated)
+        });
+      } catch (error) {
+        logger.error('Error updating message:', error);
+      }
+    }
+    return updated;
+  }
+
+  const summary = summarizeScores(updated.reviews.map(review => review.rating));
+  const completed = store.updateRating(rating.id, null, summary.mean, { summary });
+  recordEvent(store, { type: 'submitted', rating, actorId: reviewerId, before: rating, after: completed });
+
+  logger.info(`Rating completed: ${ratedUserId(rating)} received a mean of ${summary.mean} from ${summary.count} reviewers`);
+  emitRatingEvent(store, 'rating.completed', completed);
+
+  const text = `${ratingSubject(rating)} received a mean rating of ${summary.mean.toFixed(2)} ⭐ from ${summary.count} reviewers`;
+  const blocks = summaryBlocks(completed, summary);
+  const knownReviewers = completed.reviews.map(review => review.reviewerId).filter(Boolean);
+  await announceCompletion({
+    client,
+    store,
+    rating: completed,
+    messageTs,
+    text,
+    blocks,
+    recipients: [rating.requesterId, ratedUserId(rating), reviewerId, ...knownReviewers],
+    notification: {
+      text: `Your rating request is complete: ${summary.mean.toFixed(2)} ⭐ from ${summary.count} reviewers`,
+      blocks
+    }
+  });
+  return completed;
+}
+
+// The result message and requester notification for a single-reviewer
+// rating, built from the stored record so edits can rebuild them
+function ratingResultMessages(rating, reviewerId) {
+  const score = rating.rating;
+  const edited = rating.revisions?.length ? ' _(edited)_' : '';
+
+  // Anonymous ratings only ever show the score
+  const shownScore = displayScore(rating, score, rating.rawScore);
+  const subject = ratingSubject(rating);
+  const publicText = rating.anonymous
+    ? `${subject} received an anonymous rating of ${shownScore}`
+    : `<@${reviewerId}> rated ${subject} ${shownScore}`;
+  let notificationText = rating.anonymous
+    ? `You received an anonymous rating of ${shownScore}`
+    : `<@${reviewerId}> has rated you ${shownScore}`;
+  // Message ratings notify the author, unless there's none to notify and
+  // the requester gets it instead
+  if (rating.message && !rating.message.authorId) notificationText = publicText;
+  const breakdown = rating.scores ? formatBreakdown(rating.rubric, rating.scores) : null;
+
+  const notificationBlocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${notificationText} ${stars(score)}${edited}`
+      }
+    }
+  ];
+  if (breakdown) {
+    notificationBlocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: breakdown }]
+    });
+  }
+  if (rating.comment) {
+    notificationBlocks.push(commentBlock(rating.comment));
+  }
+
+  return {
+    text: `${publicText} ⭐`,
+    blocks: completionBlocks(`${publicText} ${stars(score)}${edited}`, { comment: rating.comment, breakdown }),
+    notification: {
+      text: `${notificationText} stars!`,
+      blocks: notificationBlocks
+    }
+  };
+}
+
+// Edit and Retract buttons for single-reviewer ratings, unless the channel
+// turned editing off
+function revisionControls(store, rating) {
+  const settings = resolveSettings(store, rating.channelId);
+  if (!settings.editWindowMinutes || isMultiReview(rating)) return [];
+  return revisionControlBlocks(rating, editDeadline(rating, settings));
+}
+
+// Store a submitted rating and announce it
+async function completeRating({ client, store, rating, reviewerId, score, rawScore, scores, comment, messageTs }) {
+  if (isMultiReview(rating)) {
+    await recordReview({ client, store, rating, reviewerId, score, rawScore, scores, comment, messageTs });
+  } else {
+    const reviewer = reviewerFields(rating, reviewerId);
+    const completed = store.updateRating(rating.id, reviewer.reviewerId, score, {
+      ...reviewer,
+      rawScore: rawScore || null,
+      scores: scores || null,
+      comment: comment || null
+    });
+    if (!completed) rejectStaleSubmission(store, rating.id, reviewerId);
+    recordEvent(store, { type: 'submitted', rating, actorId: reviewerId, before: rating, after: completed });
+
+    const reviewerLog = rating.anonymous ? 'anonymous reviewer' : reviewerId;
+    logger.info(`Rating completed: ${reviewerLog} rated ${ratedUserId(rating)} with ${score} stars`);
+    emitRatingEvent(store, 'rating.completed', completed);
+
+    const completionMessages = await announceCompletion({
+      client,
+      store,
+      rating: completed,
+      messageTs,
+      recipients: [rating.requesterId, ratedUserId(rating), reviewerId],
+      controls: revisionControls(store, completed),
+      ...ratingResultMessages(completed, reviewerId)
+    });
+    // Edits and retractions update these messages
+    store.patchRating(rating.id, { completionMessages });
+  }
+
+  // Keep everyone's App Home in sync with the request
+  await Promise.all([...new Set([reviewerId, rating.requesterId, ratedUserId(rating)])].map(userId =>
+    publishHome(client, store, userId).catch(error => logger.error('Error publishing home view:', error))
+  ));
+}
+
+// "Submit Rating" on request messages (channels and DMs) and in the App Home
+// opens a modal with the score inputs and an optional comment.
+function registerSubmitAction(app) {
+  app.action(/^(star_rating|criterion_.+|submit_rating)$/, async ({ action, body, ack, respond, client, context }) => {
+    await ack(); // Acknowledge immediately
+    const { store } = context;
+
+    try {
+      // Handle the action
+      if (action.action_id !== 'submit_rating') {
+        return; // Do nothing for score selection
+      }
+
+      // The button carries the request's signed state, so this works even if
+      // this instance doesn't have the rating. Older messages carry just the
+      // rating ID, or only have it in the block ID.
+      const ratingId = isRequestState(action.value)
+        ? ratingIdFromState(store, action.value)
+        : action.value || action.block_id.replace(/^rating_/, '');
+      const rating = validateSubmission(store, ratingId, body.user.id);
+      recordEvent(store, { type: 'viewed', rating, actorId: body.user.id });
+
+      // Carry over selections already made on the message
+      const stateValues = body.state?.values || body.view?.state?.values || {};
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildRatingModal({
+          rating,
+          messageTs: body.message?.ts || rating.messageTs,
+          selections: selectionsFromState(rating, stateValues)
+        })
+      });
+    } catch (error) {
+      logger.error('Error processing action:', error);
+      await reportError({ respond, client, userId: body.user.id, message: error.message });
+    }
+  });
+
+  app.view(MODAL_CALLBACK_ID, async ({ ack, body, view, client, context }) => {
+    const { store } = context;
+    const { messageTs, state, ...metadata } = JSON.parse(view.private_metadata);
+    const reviewerId = body.user.id;
+    const values = view.state.values;
+
+    let rating;
+    let ratingId = metadata.ratingId;
+    try {
+      if (state) ratingId = ratingIdFromState(store, state);
+      rating = validateSubmission(store, ratingId, reviewerId);
+    } catch (error) {
+      // Attach the error to the first input so it shows in the modal
+      const stored = store.getRating(ratingId);
+      const firstBlock = stored?.rubric ? `criterion_${stored.rubric.criteria[0].id}` : 'stars';
+      await ack({ response_action: 'errors', errors: { [firstBlock]: error.message } });
+      return;
+    }
+
+    const { score, rawScore, scores, errors } = readScores(rating, values);
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    await ack();
+
+    try {
+      const comment = values.comment?.comment?.value?.trim();
+      await completeRating({
+        client,
+        store,
+        rating,
+        reviewerId,
+        score,
+        rawScore,
+        scores,
+        comment,
+        messageTs
+      });
+    } catch (error) {
+      logger.error('Error submitting rating:', error);
+      await reportError({ client, userId: reviewerId, channelId: rating.channelId, message: error.message });
+    }
+  });
+}
+
+module.exports = {
+  EDIT_MODAL_CALLBACK_ID,
+  registerSubmitAction,
+  completeRating,
+  validateSubmission,
+  starScore,
+  readScores,
+  buildRatingModal,
+  ratingResultMessages,
+  revisionControls,
+  reportError,
+  completionBlocks
+};
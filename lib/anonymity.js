@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Anonymous ratings store the reviewer as an HMAC of the rating ID and user ID
+// rather than the user ID itself. The hash differs per rating, so stored data
+// can't link a reviewer across ratings, but with the secret we can still tell
+// whether a given user reviewed a given rating.
+function hashReviewer(ratingId, userId) {
+  const secret = process.env.ANONYMITY_SECRET || process.env.SLACK_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('ANONYMITY_SECRET or SLACK_SIGNING_SECRET must be set for anonymous ratings');
+  }
+  return crypto.createHmac('sha256', secret).update(`${ratingId}:${userId}`).digest('hex');
+}
+
+// Whether a rating (or one review of a multi-reviewer rating) was given by
+// this user, for both named and anonymous reviews
+function isReviewedBy(review, ratingId, userId) {
+  if (review.reviewerId) return review.reviewerId === userId;
+  return Boolean(review.reviewerHash) && review.reviewerHash === hashReviewer(ratingId, userId);
+}
+
+// The reviewer fields to store for a rating, hashed in anonymous mode
+function reviewerFields(rating, userId) {
+  return rating.anonymous
+    ? { reviewerId: null, reviewerHash: hashReviewer(rating.id, userId) }
+    : { reviewerId: userId };
+}
+
+// Channels listed in ANONYMOUS_CHANNELS (comma-separated IDs) make every
+// request anonymous
+function isAnonymousChannel(channelId) {
+  return (process.env.ANONYMOUS_CHANNELS || '')
+    .split(',')
+    .map(id => id.trim())
+    .includes(channelId);
+}
+
+// How a reviewer appears in messages and stats
+function reviewerLabel(review) {
+  return review.reviewerId ? `<@${review.reviewerId}>` : 'Someone';
+}
+
+module.exports = { hashReviewer, isReviewedBy, reviewerFields, isAnonymousChannel, reviewerLabel };
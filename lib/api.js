@@ -0,0 +1,192 @@
+const logger = require('./logger');
+const { verifyApiToken } = require('./tokens');
+const { ratedUserId, getUserStats } = require('./stats');
+const { ratingsForAggregates } = require('./manipulation');
+const { AUDIT_EVENTS, involvesUser, newestFirst } = require('./auditLog');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const STATUSES = ['pending', 'completed', 'expired', 'retracted'];
+
+// Requests must carry `Authorization: Bearer <token>` with a token created via
+// `/rate token create`. The request is then scoped to the token's workspace.
+function requireApiToken(store) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const record = scheme === 'Bearer' ? verifyApiToken(store, token) : null;
+    if (!record) {
+      res.status(401).json({ error: 'Invalid or missing API token' });
+      return;
+    }
+    req.apiToken = record;
+    req.store = store.forTeam(record.teamId);
+    next();
+  };
+}
+
+// Drop the hashes stored for anonymous reviewers; they are internal only
+function serializeRating(rating) {
+  const { reviewerHash, reviews, revisions, ...fields } = rating;
+  const withoutHash = ({ reviewerHash: hash, ...rest }) => rest;
+  return {
+    ...fields,
+    ...(reviews && { reviews: reviews.map(withoutHash) }),
+    ...(revisions && { revisions: revisions.map(withoutHash) })
+  };
+}
+
+function parseDate(value) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Cursors are opaque to clients; internally they're the offset of the next page
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const offset = Number(Buffer.from(String(cursor), 'base64url').toString());
+  return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
+
+// Turn query parameters into a rating filter, or an error message
+function buildFilter(query) {
+  const { userId, channelId, status } = query;
+  const since = parseDate(query.since);
+  const until = parseDate(query.until);
+
+  if (status && !STATUSES.includes(status)) {
+    return { error: `status must be one of ${STATUSES.join(', ')}` };
+  }
+  if (since === undefined || until === undefined) {
+    return { error: 'since and until must be ISO 8601 dates' };
+  }
+
+  // Anonymous reviewers are never matched by userId
+  const involves = rating => rating.requesterId === userId ||
+    ratedUserId(rating) === userId ||
+    rating.reviewerId === userId ||
+    (rating.reviews || []).some(review => review.reviewerId === userId);
+
+  return {
+    filter: rating =>
+      (!userId || involves(rating)) &&
+      (!channelId || rating.channelId === channelId) &&
+      (!status || rating.status === status) &&
+      (!since || new Date(rating.createdAt) >= since) &&
+      (!until || new Date(rating.createdAt) < until)
+  };
+}
+
+// Turn query parameters into an audit event filter, or an error message
+function buildAuditFilter(query) {
+  const { userId, ratingId, channelId, type } = query;
+  const since = parseDate(query.since);
+  const until = parseDate(query.until);
+
+  if (type && !AUDIT_EVENTS.includes(type)) {
+    return { error: `type must be one of ${AUDIT_EVENTS.join(', ')}` };
+  }
+  if (since === undefined || until === undefined) {
+    return { error: 'since and until must be ISO 8601 dates' };
+  }
+
+  return {
+    filter: event =>
+      (!userId || involvesUser(event, userId)) &&
+      (!ratingId || event.ratingId === ratingId) &&
+      (!channelId || event.channelId === channelId) &&
+      (!type || event.type === type) &&
+      (!since || new Date(event.at) >= since) &&
+      (!until || new Date(event.at) < until)
+  };
+}
+
+// The page size and offset from query parameters, or an error message
+function parsePage(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = decodeCursor(query.cursor);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (offset === null) {
+    return { error: 'Invalid cursor' };
+  }
+  return { limit, offset };
+}
+
+// Read-only REST API over the rating store, mounted on the Express receiver's
+// router:
+//   GET /api/ratings                 list, filtered by userId, channelId,
+//                                    status, since and until, newest first
+//   GET /api/ratings/users/:userId   aggregates for one user
+//   GET /api/ratings/:id             a single rating
+//   GET /api/audit                   audit log events, filtered by userId,
+//                                    ratingId, channelId, type, since and
+//                                    until, newest first
+function registerApiRoutes(router, { store }) {
+  const auth = requireApiToken(store);
+
+  router.get('/api/ratings', auth, (req, res) => {
+    const { filter, error } = buildFilter(req.query);
+    const { limit, offset, error: pageError } = parsePage(req.query);
+
+    if (error || pageError) {
+      res.status(400).json({ error: error || pageError });
+      return;
+    }
+
+    const ratings = req.store.listRatings(filter)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id.localeCompare(a.id));
+    const page = ratings.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    logger.info(`API token ${req.apiToken.id} listed ${page.length} ratings`);
+    res.json({
+      ratings: page.map(serializeRating),
+      nextCursor: nextOffset < ratings.length ? encodeCursor(nextOffset) : null
+    });
+  });
+
+  router.get('/api/ratings/users/:userId', auth, (req, res) => {
+    const stats = getUserStats(ratingsForAggregates(req.store), req.params.userId);
+    res.json({ ...stats, recent: stats.recent.map(serializeRating) });
+  });
+
+  router.get('/api/ratings/:id', auth, (req, res) => {
+    const rating = req.store.getRating(req.params.id);
+    if (!rating) {
+      res.status(404).json({ error: 'Rating not found' });
+      return;
+    }
+    res.json(serializeRating(rating));
+  });
+
+  router.get('/api/audit', auth, (req, res) => {
+    const { filter, error } = buildAuditFilter(req.query);
+    const { limit, offset, error: pageError } = parsePage(req.query);
+
+    if (error || pageError) {
+      res.status(400).json({ error: error || pageError });
+      return;
+    }
+
+    const events = req.store.listAuditEvents(filter)
+      .sort((a, b) => newestFirst(a, b) || b.id.localeCompare(a.id));
+    const page = events.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    logger.info(`API token ${req.apiToken.id} listed ${page.length} audit events`);
+    res.json({
+      // Anonymous reviewers' hashes are internal only, as on ratings
+      events: page.map(({ actorHash, ...event }) => ({ ...event, ...(actorHash && { anonymousActor: true }) })),
+      nextCursor: nextOffset < events.length ? encodeCursor(nextOffset) : null
+    });
+  });
+}
+
+module.exports = { registerApiRoutes, serializeRating };
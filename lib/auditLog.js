@@ -0,0 +1,90 @@
+const { hashReviewer } = require('./anonymity');
+
+// Structured, append-only history of every rating request, stored per
+// workspace next to the ratings. Admins read it back with `/rate audit @user`
+// and GET /api/audit.
+const AUDIT_EVENTS = ['created', 'viewed', 'submitted', 'rejected', 'edited', 'retracted', 'expired', 'deleted'];
+
+// The parts of a rating an event's before/after state shows
+function snapshot(rating) {
+  if (!rating) return null;
+  return {
+    status: rating.status,
+    rating: rating.rating ?? null,
+    rawScore: rating.rawScore ?? null,
+    scores: rating.scores ?? null,
+    comment: rating.comment ?? null,
+    reviewerId: rating.reviewerId ?? null,
+    reviewCount: rating.reviews ? rating.reviews.length : null
+  };
+}
+
+// Anonymous reviewers are recorded by their per-rating hash, as on the rating
+// itself. A null actor means the app did it, e.g. expiring a request.
+function actorFields(rating, userId) {
+  if (!userId) return { actorId: null };
+  if (rating?.anonymous && userId !== rating.requesterId) {
+    return { actorId: null, actorHash: hashReviewer(rating.id, userId) };
+  }
+  return { actorId: userId };
+}
+
+// Append one event. `rating` is the request it concerns, if any; `before` and
+// `after` are the rating records around the change.
+function recordEvent(store, { type, rating = null, actorId = null, channelId = null, before = null, after = null, reason = null }) {
+  if (!AUDIT_EVENTS.includes(type)) {
+    throw new Error(`Unknown audit event "${type}"`);
+  }
+
+  return store.appendAuditEvent({
+    type,
+    ratingId: rating?.id || null,
+    requesterId: rating?.requesterId || null,
+    targetUserId: rating?.targetUserId || null,
+    ...actorFields(rating, actorId),
+    channelId: channelId || rating?.channelId || null,
+    before: snapshot(before),
+    after: snapshot(after),
+    ...(reason && { reason }),
+    at: new Date()
+  });
+}
+
+// Events a user took part in: as the actor, or as the requester or target of
+// the rating
+function involvesUser(event, userId) {
+  return event.actorId === userId || event.requesterId === userId || event.targetUserId === userId;
+}
+
+function newestFirst(a, b) {
+  return new Date(b.at) - new Date(a.at);
+}
+
+// "pending → completed, 3 → 5 ⭐"
+function describeChange(event) {
+  if (!event.before || !event.after) return '';
+  const changes = [];
+  if (event.before.status !== event.after.status) {
+    changes.push(`${event.before.status} → ${event.after.status}`);
+  }
+  if (event.before.rating !== event.after.rating) {
+    changes.push(`${event.before.rating ?? '–'} → ${event.after.rating ?? '–'} ⭐`);
+  }
+  if (event.before.comment !== event.after.comment) {
+    changes.push('comment changed');
+  }
+  return changes.join(', ');
+}
+
+// One line of `/rate audit @user` output
+function describeEvent(event) {
+  const seconds = Math.floor(new Date(event.at).getTime() / 1000);
+  const when = `<!date^${seconds}^{date_short} {time}|${new Date(event.at).toISOString()}>`;
+  const actor = event.actorId ? `<@${event.actorId}>` : (event.actorHash ? 'an anonymous reviewer' : 'the app');
+  const where = event.channelId && !event.channelId.startsWith('D') ? ` in <#${event.channelId}>` : '';
+  const rating = event.ratingId ? ` \`${event.ratingId.substring(0, 8)}\`` : '';
+  const details = [describeChange(event), event.reason].filter(Boolean).join('; ');
+  return `• ${when} *${event.type}*${rating} by ${actor}${where}${details ? ` — ${details}` : ''}`;
+}
+
+module.exports = { AUDIT_EVENTS, recordEvent, involvesUser, newestFirst, describeEvent };
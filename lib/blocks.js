@@ -0,0 +1,197 @@
+// Shared Block Kit pieces for rating requests
+
+const { isMultiReview, hasReviewed } = require('./reviews');
+const { scoreOptions } = require('./rubrics');
+const { encodeRequestState } = require('./requestState');
+
+// Star options for a 1..scale rating. Scales above 5 show numbers instead of
+// long rows of stars.
+function starOptions(scale = 5) {
+  return Array.from({ length: scale }, (_, i) => ({
+    text: { type: "plain_text", text: scale <= 5 ? '⭐'.repeat(i + 1) : `${i + 1} ⭐` },
+    value: String(i + 1)
+  }));
+}
+
+// Score inputs and submit button: a star selection, or one select per
+// criterion for rubric ratings. The submit button's value carries the
+// request's signed state, which the submit_rating handler reads back.
+function ratingActionsBlock(rating) {
+  const inputs = rating.rubric
+    ? rating.rubric.criteria.map(criterion => ({
+      type: "static_select",
+      action_id: `criterion_${criterion.id}`,
+      placeholder: { type: "plain_text", text: `${criterion.label} (1–${criterion.scale})` },
+      options: scoreOptions(criterion)
+    }))
+    : [
+      {
+        type: "radio_buttons",
+        action_id: "star_rating",
+        options: starOptions(rating.scale)
+      }
+    ];
+
+  return {
+    type: "actions",
+    block_id: `rating_${rating.id}`,
+    elements: [
+      ...inputs,
+      {
+        type: "button",
+        text: { type: "plain_text", text: "Submit Rating" },
+        action_id: "submit_rating",
+        value: encodeRequestState(rating),
+        style: "primary"
+      }
+    ]
+  };
+}
+
+// Scores are whole stars, or two decimals for rubric and averaged scores
+function formatScore(score) {
+  return Number.isInteger(score) ? `${score}` : score.toFixed(2);
+}
+
+// Slack date token that renders in the viewer's timezone
+function formatDate(date) {
+  const seconds = Math.floor(new Date(date).getTime() / 1000);
+  return `<!date^${seconds}^{date_short_pretty}|${new Date(date).toLocaleDateString()}>`;
+}
+
+// Escape user-provided text for mrkdwn
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render a reviewer's comment as a quote block, optionally attributed
+function commentBlock(comment, authorId = null) {
+  const author = authorId ? `<@${authorId}>: ` : '';
+  const quoted = (author + escapeText(comment)).split('\n').map(line => `>${line}`).join('\n');
+  return {
+    type: "section",
+    text: { type: "mrkdwn", text: quoted }
+  };
+}
+
+// Who or what is being rated: the requester, or for requests made with the
+// "Rate this message" shortcut, the message they picked
+function ratingSubject(rating) {
+  if (!rating.message) return `<@${rating.requesterId}>`;
+  const link = `<${rating.message.permalink}|message>`;
+  return rating.message.authorId ? `<@${rating.message.authorId}>'s ${link}` : `this ${link}`;
+}
+
+function requestMessageText(rating) {
+  const what = rating.message ? ` of ${ratingSubject(rating)}` : '';
+  return rating.targetUserId
+    ? `<@${rating.requesterId}> has requested a rating${what} from <@${rating.targetUserId}>!`
+    : `<@${rating.requesterId}> has requested a rating${what}!`;
+}
+
+// "2 of 3 ratings received", plus who has reviewed when reviewers are required
+function reviewProgressText(rating) {
+  const received = (rating.reviews || []).length;
+  let text = `${received} of ${rating.quorum} ratings received`;
+  // Showing who has reviewed would undo anonymity as scores come in
+  if (rating.requiredReviewerIds && !rating.anonymous) {
+    const reviewers = rating.requiredReviewerIds
+      .map(id => `${hasReviewed(rating, id) ? '✅' : '⏳'} <@${id}>`)
+      .join('  ');
+    text += ` · ${reviewers}`;
+  }
+  return text;
+}
+
+// Blocks for a pending rating request message, rebuilt from the stored rating
+// so the message can be updated as reviews come in
+function requestMessageBlocks(rating) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: requestMessageText(rating)
+      }
+    }
+  ];
+  // Slash command text arrives already escaped, with mentions intact
+  if (rating.reason) {
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `> ${rating.reason}` }
+    });
+  }
+  if (isMultiReview(rating)) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: reviewProgressText(rating) }]
+    });
+  }
+  if (rating.rubric) {
+    const criteria = rating.rubric.criteria.map(criterion => criterion.label).join(', ');
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `📋 Rubric *${rating.rubric.name}*: ${criteria}` }]
+    });
+  }
+  if (rating.anonymous) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "🕶️ Anonymous — reviewer names won't be shown" }]
+    });
+  }
+  blocks.push(ratingActionsBlock(rating));
+  return blocks;
+}
+
+// Edit and Retract buttons under a completed rating. The handlers check that
+// the reviewer clicked them before the deadline.
+function revisionControlBlocks(rating, deadline) {
+  const seconds = Math.floor(deadline.getTime() / 1000);
+  return [
+    {
+      type: "actions",
+      block_id: `revise_${rating.id}`,
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Edit" },
+          action_id: "edit_rating",
+          value: rating.id
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Retract" },
+          action_id: "retract_rating",
+          value: rating.id,
+          style: "danger",
+          confirm: {
+            title: { type: "plain_text", text: "Retract rating?" },
+            text: { type: "plain_text", text: "Your rating will be withdrawn and no longer count." },
+            confirm: { type: "plain_text", text: "Retract" },
+            deny: { type: "plain_text", text: "Cancel" }
+          }
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `The reviewer can edit or retract this rating until <!date^${seconds}^{time}|${deadline.toLocaleTimeString()}>.` }]
+    }
+  ];
+}
+
+module.exports = {
+  starOptions,
+  ratingActionsBlock,
+  formatScore,
+  formatDate,
+  escapeText,
+  commentBlock,
+  ratingSubject,
+  requestMessageText,
+  reviewProgressText,
+  requestMessageBlocks,
+  revisionControlBlocks
+};
@@ -0,0 +1,101 @@
+const logger = require('./logger');
+const { requestMessageText, requestMessageBlocks } = require('./blocks');
+const { emitRatingEvent } = require('./webhooks');
+const { recordEvent } = require('./auditLog');
+
+// Post a rating request to a channel or DM
+async function postRatingMessage(client, channelId, rating) {
+  return await client.chat.postMessage({
+    channel: channelId, // Can be a user ID (for DMs) or channel ID (for channels)
+    text: requestMessageText(rating), // Fallback text for notifications
+    blocks: requestMessageBlocks(rating),
+    unfurl_links: false,
+    unfurl_media: false
+  });
+}
+
+// Post a request that only its target reviewer may submit. The request text
+// mentions them, so Slack notifies them wherever it's posted.
+async function postTargetedRatingMessage(client, channelId, rating) {
+  if (!rating.targetUserId) {
+    throw new Error('A targeted rating request needs a target reviewer');
+  }
+  return await postRatingMessage(client, channelId, rating);
+}
+
+// Open a DM with the user and post them a rating request. The request lives
+// in that DM so completion can update it. Returns the rating, or null if the
+// DM couldn't be delivered.
+async function openDirectMessageAndPost(client, store, userId, requesterId, options = {}) {
+  let rating = null;
+  try {
+    // Open a DM with the user
+    const result = await client.conversations.open({
+      users: userId
+    });
+
+    if (result.ok && result.channel && result.channel.id) {
+      rating = store.createRating(requesterId, result.channel.id, { ...options, targetUserId: userId });
+
+      // Post the rating message to the newly opened DM
+      const posted = await postTargetedRatingMessage(client, result.channel.id, rating);
+      return store.setRequestMessage(rating.id, posted.ts);
+    }
+    return null;
+  } catch (error) {
+    logger.error('Error opening DM:', error);
+    if (rating) {
+      store.deleteRating(rating.id);
+      recordEvent(store, { type: 'deleted', rating, before: rating, reason: 'Request could not be delivered' });
+    }
+    return null;
+  }
+}
+
+// `/rate @a @b @c` or `/rate @group`: DM everyone their own request. The
+// whole batch must fit in the requester's remaining rate limit, and only
+// delivered requests count against it.
+async function sendBulkRequests({ client, store, requesterId, targetUserIds, options, limit, respond }) {
+  const remaining = store.remainingRequests(requesterId, limit);
+  if (targetUserIds.length > remaining) {
+    recordEvent(store, { type: 'rejected', actorId: requesterId, reason: 'Rate limit exceeded' });
+    await respond({
+      response_type: 'ephemeral',
+      text: `⚠️ That would send ${targetUserIds.length} rating requests, but you can only send ${remaining} more right now. ` +
+        'Please ask fewer people or try again later.'
+    });
+    return;
+  }
+
+  const delivered = [];
+  const failed = [];
+  // One at a time, so a large group doesn't trip Slack's rate limits
+  for (const targetUserId of targetUserIds) {
+    const rating = await openDirectMessageAndPost(client, store, targetUserId, requesterId, options);
+    if (rating) {
+      delivered.push(targetUserId);
+      emitRatingEvent(store, 'rating.created', rating);
+      recordEvent(store, { type: 'created', rating, actorId: requesterId, after: rating });
+    } else {
+      failed.push(targetUserId);
+    }
+  }
+
+  store.addRateLimitEntry(requesterId, delivered.length);
+  logger.info(`Bulk rating request by ${requesterId}: ${delivered.length} delivered, ${failed.length} failed`);
+
+  const mentions = userIds => userIds.map(id => `<@${id}>`).join(', ');
+  const lines = [];
+  if (delivered.length > 0) {
+    lines.push(`✅ Sent ${delivered.length} rating request${delivered.length === 1 ? '' : 's'} to ${mentions(delivered)}.`);
+  }
+  if (failed.length > 0) {
+    lines.push(`⚠️ Couldn't send a DM to ${mentions(failed)}.`);
+  }
+  await respond({
+    response_type: 'ephemeral',
+    text: lines.join('\n')
+  });
+}
+
+module.exports = { postRatingMessage, postTargetedRatingMessage, openDirectMessageAndPost, sendBulkRequests };
@@ -0,0 +1,22 @@
+// Helper function to check if a channel is a DM
+function isDMChannel(channelId) {
+  return channelId.startsWith('D');
+}
+
+// Whether the bot can post in the channel
+async function verifyChannelAccess(client, channelId) {
+  try {
+    // Try to get channel info to verify access
+    await client.conversations.info({
+      channel: channelId
+    });
+    return true;
+  } catch (error) {
+    if (error.data?.error === 'channel_not_found') {
+      return false;
+    }
+    throw error; // Rethrow other errors
+  }
+}
+
+module.exports = { isDMChannel, verifyChannelAccess };
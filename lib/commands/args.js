@@ -0,0 +1,119 @@
+// Argument declarations for `/rate` subcommands, and parsing command text
+// against them. An argument is { name, optional, label } plus one of:
+//   choices: ['week', 'month']  one of these words, in any position
+//   type: 'user'                a @mention (choices may add words such as 'all')
+//   type: 'date'                `<name>:YYYY-MM-DD`
+//   type: 'word'                any single word
+//   type: 'text'                the rest of the line, once the arguments
+//                               declared before it are filled
+// Subcommands with actions (`/rate rubric add ...`) declare args per action.
+
+const USER_REFERENCE = /^(<@[A-Z0-9]+(\|[^>]*)?>|@\S+)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function argUsage(arg) {
+  let text;
+  if (arg.label) {
+    text = arg.label;
+  } else if (arg.type === 'user') {
+    text = ['@user', ...(arg.choices || [])].join('|');
+  } else if (arg.type === 'date') {
+    text = `${arg.name}:YYYY-MM-DD`;
+  } else if (arg.choices) {
+    text = arg.choices.join('|');
+  } else {
+    text = `<${arg.name}>`;
+  }
+  return arg.optional ? `[${text}]` : text;
+}
+
+// e.g. "/rate leaderboard [week|month|all] [channel|workspace]"
+function usage(path, args = []) {
+  return [`/rate ${path}`, ...args.map(argUsage)].join(' ');
+}
+
+function accepts(arg, token) {
+  if (arg.choices && arg.choices.includes(token.toLowerCase())) return true;
+  switch (arg.type) {
+    case 'user':
+      return USER_REFERENCE.test(token);
+    case 'date':
+      return token.toLowerCase().startsWith(`${arg.name}:`);
+    case 'word':
+    case 'text':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function parseValue(arg, token, path, args) {
+  if (arg.choices && arg.choices.includes(token.toLowerCase())) {
+    return token.toLowerCase();
+  }
+  if (arg.type === 'date') {
+    const value = token.substring(arg.name.length + 1);
+    const date = DATE.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+      throw new Error(`Invalid date "${value}" for ${arg.name}. Usage: \`${usage(path, args)}\``);
+    }
+    return date;
+  }
+  return token;
+}
+
+// Match command text against declared args. Returns { name: value }; throws
+// with a user-facing message on unexpected or missing arguments.
+function parseArgs(path, args, text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const params = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const arg = args.find((candidate, index) => !(candidate.name in params) &&
+      (candidate.type !== 'text' || args.slice(0, index).every(before => before.name in params)) &&
+      accepts(candidate, tokens[i]));
+    if (!arg) {
+      throw new Error(`Unexpected "${tokens[i]}". Usage: \`${usage(path, args)}\``);
+    }
+
+    if (arg.type === 'text') {
+      params[arg.name] = tokens.slice(i).join(' ');
+      break;
+    }
+    params[arg.name] = parseValue(arg, tokens[i], path, args);
+  }
+
+  const missing = args.find(arg => !arg.optional && !(arg.name in params));
+  if (missing) {
+    throw new Error(`Missing \`${argUsage(missing)}\`. Usage: \`${usage(path, args)}\``);
+  }
+  return params;
+}
+
+// Parse the text after a subcommand's name. For subcommands with actions the
+// first word picks the action (or the default one) and is returned as
+// params.action. Text that starts with one of the default action's arguments
+// instead of an action goes to the default action, e.g. `/rate audit @user`.
+function parseCommandArgs(name, spec, text) {
+  if (!spec.actions) {
+    return parseArgs(name, spec.args || [], text);
+  }
+
+  const [first = ''] = text.split(/\s+/);
+  const defaultArgs = spec.actions[spec.defaultAction]?.args || [];
+  if (first && !spec.actions[first.toLowerCase()] && defaultArgs.some(arg => accepts(arg, first))) {
+    return { action: spec.defaultAction, ...parseArgs(name, defaultArgs, text) };
+  }
+
+  const action = first ? first.toLowerCase() : spec.defaultAction;
+  const actionSpec = spec.actions[action];
+  if (!actionSpec) {
+    const actions = Object.keys(spec.actions).join(', ');
+    throw new Error(`Unknown ${name} action "${first}". Choose one of ${actions}, or see \`/rate help\`.`);
+  }
+
+  const rest = first ? text.substring(first.length).trim() : '';
+  return { action, ...parseArgs(`${name} ${action}`, actionSpec.args || [], rest) };
+}
+
+module.exports = { usage, parseCommandArgs };
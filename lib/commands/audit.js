@@ -0,0 +1,72 @@
+const logger = require('../logger');
+const { isWorkspaceAdmin, resolveUserId } = require('../users');
+const { WORKSPACE_SCOPE } = require('../settings');
+const { FLAG_TYPES, detectManipulation, refreshManipulationFlags } = require('../manipulation');
+const { involvesUser, newestFirst, describeEvent } = require('../auditLog');
+
+const MAX_FLAGS_SHOWN = 20;
+const MAX_EVENTS_SHOWN = 20;
+
+// The latest audit log events involving one user
+async function userHistory(client, store, user) {
+  const userId = await resolveUserId(client, user);
+  if (!userId) {
+    return `⚠️ Could not find user ${user}.`;
+  }
+
+  const events = store.listAuditEvents(event => involvesUser(event, userId)).sort(newestFirst);
+  if (events.length === 0) {
+    return `No rating activity recorded for <@${userId}>.`;
+  }
+  const lines = events.slice(0, MAX_EVENTS_SHOWN).map(describeEvent);
+  if (events.length > MAX_EVENTS_SHOWN) {
+    lines.push(`…and ${events.length - MAX_EVENTS_SHOWN} older events. Use GET /api/audit for the full log.`);
+  }
+  return `*Rating activity for <@${userId}>*\n${lines.join('\n')}`;
+}
+
+// Handle `/rate audit [@user|exclude|include]`. Lists suspicious rating
+// patterns, or a user's entries in the audit log, and sets whether flagged
+// reviews count towards stats, leaderboards and digests. Admins only, since
+// both name reviewers.
+async function auditCommand({ command, params, respond, client, store }) {
+  const reply = text => respond({ response_type: 'ephemeral', text });
+
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can audit ratings.');
+    return;
+  }
+
+  if (params.user) {
+    await reply(await userHistory(client, store, params.user));
+    return;
+  }
+
+  const settings = store.getSettings(WORKSPACE_SCOPE);
+
+  if (params.action === 'exclude' || params.action === 'include') {
+    const excludeFlagged = params.action === 'exclude';
+    store.saveSettings(WORKSPACE_SCOPE, { ...settings, excludeFlagged });
+    refreshManipulationFlags(store);
+    logger.info(`Flagged ratings ${excludeFlagged ? 'excluded from' : 'included in'} aggregates by ${command.user_id}`);
+    await reply(excludeFlagged
+      ? 'Flagged ratings are now left out of stats, leaderboards and digests.'
+      : 'Flagged ratings now count towards stats, leaderboards and digests again.');
+    return;
+  }
+
+  const flags = detectManipulation(store.listRatings());
+  const lines = flags.slice(0, MAX_FLAGS_SHOWN).map(flag => `• *${FLAG_TYPES[flag.type]}* ${flag.detail}`);
+  if (flags.length > MAX_FLAGS_SHOWN) {
+    lines.push(`…and ${flags.length - MAX_FLAGS_SHOWN} more.`);
+  }
+  const footer = settings.excludeFlagged
+    ? 'Flagged ratings are left out of stats. Use `/rate audit include` to count them again.'
+    : 'Flagged ratings still count towards stats. Use `/rate audit exclude` to leave them out.';
+
+  await reply(flags.length > 0
+    ? `${lines.join('\n')}\n${footer}`
+    : `No suspicious rating patterns found.\n${footer}`);
+}
+
+module.exports = { auditCommand };
@@ -0,0 +1,254 @@
+const logger = require('../logger');
+const { isWorkspaceAdmin } = require('../users');
+const { isAnonymousChannel } = require('../anonymity');
+const { DEFAULT_SETTINGS, WORKSPACE_SCOPE } = require('../settings');
+
+const CONFIG_CALLBACK_ID = 'rate_config_modal';
+const INHERIT = 'inherit';
+
+const CHOICES = {
+  starScale: [3, 4, 5, 6, 7, 8, 9, 10].map(scale => ({ label: `1–${scale}`, value: scale })),
+  deleteOriginal: [
+    { label: 'Delete it', value: true },
+    { label: 'Keep it, without the buttons', value: false }
+  ],
+  resultVisibility: [
+    { label: 'Public in the channel', value: 'public' },
+    { label: 'Only the reviewer and requester', value: 'ephemeral' }
+  ],
+  anonymous: [
+    { label: 'Hide reviewer names', value: true },
+    { label: 'Show reviewer names', value: false }
+  ]
+};
+
+const SELECT_FIELDS = [
+  { key: 'starScale', label: 'Star scale' },
+  { key: 'deleteOriginal', label: 'Request message after rating' },
+  { key: 'resultVisibility', label: 'Rating results' },
+  { key: 'anonymous', label: 'Anonymity' }
+];
+
+const NUMBER_FIELDS = [
+  { key: 'rateLimitMax', label: 'Requests allowed per user', min: 1, max: 100 },
+  { key: 'rateLimitWindowMinutes', label: 'Rate limit window (minutes)', min: 1, max: 1440 },
+  { key: 'editWindowMinutes', label: 'Time to edit or retract a rating (minutes, 0 for never)', min: 0, max: 1440 }
+];
+
+const MAX_REACTION_EMOJI = 10;
+const EMOJI_NAME = /^[a-z0-9_+'-]+$/;
+
+// "one, :two:, three" -> ['one', 'two', 'three']
+function parseEmojiList(text) {
+  return text.split(/[\s,]+/).map(name => name.replace(/^:|:$/g, '').toLowerCase()).filter(Boolean);
+}
+
+function formatEmojiList(names) {
+  return names.map(name => `:${name}:`).join(' ');
+}
+
+function plainOption(text, value) {
+  return { text: { type: "plain_text", text }, value: String(value) };
+}
+
+function choiceLabel(key, value) {
+  return CHOICES[key].find(choice => choice.value === value)?.label || String(value);
+}
+
+// The settings a scope falls back to when it doesn't override a value
+function inheritedSettings(store, scope) {
+  if (scope === WORKSPACE_SCOPE) {
+    return DEFAULT_SETTINGS;
+  }
+  return {
+    ...DEFAULT_SETTINGS,
+    anonymous: isAnonymousChannel(scope),
+    ...store.getSettings(WORKSPACE_SCOPE)
+  };
+}
+
+function buildConfigModal(store, scope) {
+  const overrides = store.getSettings(scope);
+  const inherited = inheritedSettings(store, scope);
+  const fallbackName = scope === WORKSPACE_SCOPE ? 'Default' : 'Workspace default';
+
+  const numberBlocks = NUMBER_FIELDS.map(field => {
+    const element = {
+      type: "number_input",
+      action_id: "value",
+      is_decimal_allowed: false,
+      min_value: String(field.min),
+      max_value: String(field.max),
+      placeholder: { type: "plain_text", text: `${fallbackName}: ${inherited[field.key]}` }
+    };
+    if (overrides[field.key] !== undefined) {
+      element.initial_value = String(overrides[field.key]);
+    }
+    return {
+      type: "input",
+      block_id: field.key,
+      optional: true,
+      label: { type: "plain_text", text: field.label },
+      element
+    };
+  });
+
+  const selectBlocks = SELECT_FIELDS.map(field => {
+    const inheritOption = plainOption(`${fallbackName} (${choiceLabel(field.key, inherited[field.key])})`, INHERIT);
+    const options = [inheritOption, ...CHOICES[field.key].map(choice => plainOption(choice.label, choice.value))];
+    const current = overrides[field.key] === undefined ? INHERIT : String(overrides[field.key]);
+    return {
+      type: "input",
+      block_id: field.key,
+      label: { type: "plain_text", text: field.label },
+      element: {
+        type: "static_select",
+        action_id: "value",
+        options,
+        initial_option: options.find(option => option.value === current) || inheritOption
+      }
+    };
+  });
+
+  const emojiElement = {
+    type: "plain_text_input",
+    action_id: "value",
+    placeholder: { type: "plain_text", text: `${fallbackName}: ${formatEmojiList(inherited.reactionEmoji)}` }
+  };
+  if (overrides.reactionEmoji !== undefined) {
+    emojiElement.initial_value = formatEmojiList(overrides.reactionEmoji);
+  }
+  const emojiBlock = {
+    type: "input",
+    block_id: "reactionEmoji",
+    optional: true,
+    label: { type: "plain_text", text: "Reaction emoji" },
+    hint: { type: "plain_text", text: "Reacting with the first emoji rates 1 star, the second 2 stars, and so on." },
+    element: emojiElement
+  };
+
+  const scopeText = scope === WORKSPACE_SCOPE
+    ? 'Workspace-wide settings. Channels can override these.'
+    : `Settings for <#${scope}>. Anything left on the workspace default follows the workspace settings.`;
+
+  return {
+    type: "modal",
+    callback_id: CONFIG_CALLBACK_ID,
+    private_metadata: JSON.stringify({ scope }),
+    title: { type: "plain_text", text: "Rating settings" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: scopeText }
+      },
+      ...numberBlocks,
+      ...selectBlocks,
+      emojiBlock
+    ]
+  };
+}
+
+// Turn submitted values into the overrides to store. Blank numbers and the
+// "default" option leave a setting unset so it keeps following the fallback.
+function readOverrides(values) {
+  const overrides = {};
+  const errors = {};
+
+  for (const field of NUMBER_FIELDS) {
+    const raw = values[field.key]?.value?.value;
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const number = Number(raw);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      errors[field.key] = `Enter a whole number between ${field.min} and ${field.max}`;
+    } else {
+      overrides[field.key] = number;
+    }
+  }
+
+  for (const field of SELECT_FIELDS) {
+    const raw = values[field.key]?.value?.selected_option?.value;
+    if (!raw || raw === INHERIT) continue;
+
+    const choice = CHOICES[field.key].find(c => String(c.value) === raw);
+    if (choice) {
+      overrides[field.key] = choice.value;
+    }
+  }
+
+  const emoji = parseEmojiList(values.reactionEmoji?.value?.value || '');
+  if (emoji.length > MAX_REACTION_EMOJI) {
+    errors.reactionEmoji = `Enter at most ${MAX_REACTION_EMOJI} emoji`;
+  } else if (emoji.some(name => !EMOJI_NAME.test(name)) || new Set(emoji).size !== emoji.length) {
+    errors.reactionEmoji = 'Enter distinct emoji names, such as :one: :two: :three:';
+  } else if (emoji.length > 0) {
+    overrides.reactionEmoji = emoji;
+  }
+
+  return { overrides, errors };
+}
+
+// Handle `/rate config [workspace]`. Opens the settings modal for the current
+// channel, or for the workspace-wide fallback. Admins only.
+async function configCommand({ command, params, respond, client, store }) {
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: '⚠️ Only workspace admins can change rating settings.'
+    });
+    return;
+  }
+
+  const scope = params.scope === WORKSPACE_SCOPE ? WORKSPACE_SCOPE : command.channel_id;
+  await client.views.open({
+    trigger_id: command.trigger_id,
+    view: buildConfigModal(store, scope)
+  });
+}
+
+function registerConfigView(app) {
+  app.view(CONFIG_CALLBACK_ID, async ({ ack, body, view, client, context }) => {
+    const { store } = context;
+    const { scope } = JSON.parse(view.private_metadata);
+
+    if (!await isWorkspaceAdmin(client, body.user.id)) {
+      await ack({ response_action: 'errors', errors: { rateLimitMax: 'Only workspace admins can change rating settings' } });
+      return;
+    }
+
+    const { overrides, errors } = readOverrides(view.state.values);
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    // Keep settings the modal doesn't manage
+    const { excludeFlagged } = store.getSettings(scope);
+    store.saveSettings(scope, { ...overrides, ...(excludeFlagged !== undefined && { excludeFlagged }) });
+    logger.info(`Rating settings for ${scope} updated by ${body.user.id}`);
+
+    await ack({
+      response_action: 'update',
+      view: {
+        type: "modal",
+        title: { type: "plain_text", text: "Rating settings" },
+        close: { type: "plain_text", text: "Done" },
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: scope === WORKSPACE_SCOPE
+                ? '✅ Workspace settings saved.'
+                : `✅ Settings saved for <#${scope}>.`
+            }
+          }
+        ]
+      }
+    });
+  });
+}
+
+module.exports = { configCommand, registerConfigView };
@@ -0,0 +1,57 @@
+const logger = require('../logger');
+const { isWorkspaceAdmin } = require('../users');
+const { isDMChannel } = require('../channels');
+const { describeDigest } = require('../digest');
+
+// Handle `/rate digest [status|subscribe|unsubscribe]`. Anyone can see whether
+// the channel gets a digest; only workspace admins can change it.
+async function digestCommand({ command, params, respond, client, store }) {
+  const reply = text => respond({ response_type: 'ephemeral', text });
+  const channelId = command.channel_id;
+  const { action } = params;
+
+  if (action === 'status') {
+    const digest = store.getDigest(channelId);
+    await reply(digest
+      ? `This channel gets ${describeDigest(digest)}`
+      : 'This channel has no rating digest. Admins can add one with `/rate digest subscribe weekly`.');
+    return;
+  }
+
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can manage digests.');
+    return;
+  }
+
+  if (action === 'subscribe') {
+    if (isDMChannel(channelId)) {
+      await reply('⚠️ Digests can only be posted to channels.');
+      return;
+    }
+
+    // The first digest covers a full period from now
+    const now = new Date();
+    const digest = store.saveDigest({
+      channelId,
+      frequency: params.frequency || 'weekly',
+      subscribedBy: command.user_id,
+      subscribedAt: now,
+      lastSentAt: now
+    });
+    logger.info(`Channel ${channelId} subscribed to a ${digest.frequency} digest by ${command.user_id}`);
+    await reply(`✅ This channel will get ${describeDigest(digest)}`);
+    return;
+  }
+
+  if (action === 'unsubscribe') {
+    const removed = store.deleteDigest(channelId);
+    if (!removed) {
+      await reply('⚠️ This channel has no rating digest.');
+      return;
+    }
+    logger.info(`Channel ${channelId} unsubscribed from its digest by ${command.user_id}`);
+    await reply('Stopped the rating digest for this channel.');
+  }
+}
+
+module.exports = { digestCommand };
@@ -0,0 +1,48 @@
+const logger = require('../logger');
+const { buildExportRows, toCsv, toJson } = require('../export');
+const { resolveUserId, isWorkspaceAdmin } = require('../users');
+
+// Handle `/rate export [csv|json] [since:DATE] [@user|all]`. Users can export
+// their own ratings; admins can export any user's or the whole workspace's.
+async function exportCommand({ command, params, respond, client, store }) {
+  const reply = text => respond({ response_type: 'ephemeral', text });
+
+  const format = params.format || 'csv';
+  const since = params.since || null;
+
+  let userId = command.user_id;
+  if (params.user === 'all') {
+    userId = null;
+  } else if (params.user) {
+    userId = await resolveUserId(client, params.user);
+    if (!userId) {
+      await reply(`⚠️ Could not find user ${params.user}.`);
+      return;
+    }
+  }
+
+  if (userId !== command.user_id && !await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can export other users\' ratings.');
+    return;
+  }
+
+  const rows = buildExportRows(store.listRatings(), { userId, since });
+  const content = format === 'csv' ? toCsv(rows) : toJson(rows);
+  const subject = userId ? userId : 'workspace';
+  const filename = `ratings-${subject}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  // Deliver the file privately in a DM with the app
+  const dm = await client.conversations.open({ users: command.user_id });
+  await client.files.uploadV2({
+    channel_id: dm.channel.id,
+    filename,
+    title: filename,
+    content,
+    initial_comment: `Here's your rating export: ${rows.length} ratings${userId ? ` for <@${userId}>` : ''}.`
+  });
+
+  logger.info(`Rating export (${format}, ${rows.length} rows) for ${subject} sent to ${command.user_id}`);
+  await reply(`📤 Export sent to your DMs (${rows.length} ratings).`);
+}
+
+module.exports = { exportCommand };
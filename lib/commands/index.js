@@ -0,0 +1,173 @@
+const { statsCommand } = require('./stats');
+const { leaderboardCommand } = require('./leaderboard');
+const { rubricCommand } = require('./rubric');
+const { configCommand, registerConfigView } = require('./config');
+const { exportCommand } = require('./export');
+const { tokenCommand } = require('./token');
+const { webhookCommand } = require('./webhook');
+const { digestCommand } = require('./digest');
+const { auditCommand } = require('./audit');
+const { usage, parseCommandArgs } = require('./args');
+const { REQUEST_OPTIONS, isRequestToken } = require('../requests');
+
+// Usage lines for rating requests, shown at the top of `/rate help`
+const REQUEST_USAGE = [
+  { usage: '/rate', summary: 'ask this channel for a rating' },
+  { usage: '/rate @user [reason]', summary: 'ask one person, here or by DM' },
+  { usage: '/rate @a @b … | @group [reason]', summary: 'ask several people by DM' }
+];
+
+// `/rate <subcommand> ...` declarations, keyed by the first word of the
+// command text. Arguments are validated against `args` (or the chosen action's
+// args) before the handler runs; see ./args for the argument format.
+const subcommands = {
+  help: {
+    summary: 'show this help',
+    handler: helpCommand
+  },
+  stats: {
+    summary: 'rating statistics for you or someone else',
+    args: [{ name: 'user', type: 'user', optional: true }],
+    handler: statsCommand
+  },
+  leaderboard: {
+    summary: 'top-rated people',
+    args: [
+      { name: 'period', choices: ['week', 'month', 'all'], optional: true },
+      { name: 'scope', choices: ['channel', 'workspace'], optional: true }
+    ],
+    handler: leaderboardCommand
+  },
+  rubric: {
+    summary: 'list or manage rubrics (admins)',
+    defaultAction: 'list',
+    actions: {
+      list: {},
+      add: {
+        args: [
+          { name: 'name', type: 'word' },
+          { name: 'criteria', type: 'text', label: '<criterion>[:scale[:weight]], ...' }
+        ]
+      },
+      remove: { args: [{ name: 'name', type: 'word' }] }
+    },
+    handler: rubricCommand
+  },
+  config: {
+    summary: 'rating settings for this channel or the workspace',
+    args: [{ name: 'scope', choices: ['workspace'], optional: true }],
+    handler: configCommand
+  },
+  export: {
+    summary: 'download ratings as CSV or JSON',
+    args: [
+      { name: 'format', choices: ['csv', 'json'], optional: true },
+      { name: 'since', type: 'date', optional: true },
+      { name: 'user', type: 'user', choices: ['all'], optional: true }
+    ],
+    handler: exportCommand
+  },
+  token: {
+    summary: 'manage REST API tokens (admins)',
+    defaultAction: 'list',
+    actions: {
+      list: {},
+      create: { args: [{ name: 'label', type: 'text' }] },
+      revoke: { args: [{ name: 'id', type: 'word' }] }
+    },
+    handler: tokenCommand
+  },
+  webhook: {
+    summary: 'manage webhooks (admins)',
+    defaultAction: 'list',
+    actions: {
+      list: {},
+      add: {
+        args: [
+          { name: 'url', type: 'word' },
+          { name: 'events', type: 'word', optional: true, label: 'created,completed,expired' }
+        ]
+      },
+      remove: { args: [{ name: 'id', type: 'word' }] },
+      log: { args: [{ name: 'id', type: 'word', optional: true }] }
+    },
+    handler: webhookCommand
+  },
+  digest: {
+    summary: 'scheduled rating summaries for this channel (admins)',
+    defaultAction: 'status',
+    actions: {
+      status: {},
+      subscribe: { args: [{ name: 'frequency', choices: ['weekly', 'monthly'], optional: true }] },
+      unsubscribe: {}
+    },
+    handler: digestCommand
+  },
+  audit: {
+    summary: 'suspicious rating patterns and whether they count, or one person\'s rating history (admins)',
+    defaultAction: 'flags',
+    actions: {
+      flags: { args: [{ name: 'user', type: 'user', optional: true }] },
+      exclude: {},
+      include: {}
+    },
+    handler: auditCommand
+  }
+};
+
+function subcommandUsage(name, spec) {
+  if (!spec.actions) {
+    return [usage(name, spec.args)];
+  }
+  // A default action with arguments is used without naming it
+  return Object.entries(spec.actions).map(([action, actionSpec]) =>
+    (action === spec.defaultAction && actionSpec.args ? usage(name, actionSpec.args) : usage(`${name} ${action}`, actionSpec.args)));
+}
+
+// Built from the declarations above so it can't drift from what's accepted
+function helpText() {
+  const requests = REQUEST_USAGE.map(line => `• \`${line.usage}\` – ${line.summary}`);
+  const options = REQUEST_OPTIONS.map(option => `• \`${option.usage}\` – ${option.description}`);
+  const commands = Object.entries(subcommands).map(([name, spec]) =>
+    `• ${subcommandUsage(name, spec).map(line => `\`${line}\``).join(', ')} – ${spec.summary}`);
+
+  return [
+    '*Requesting ratings*', ...requests,
+    '*Request options* (anywhere in the request)', ...options,
+    '*Other commands*', ...commands
+  ].join('\n');
+}
+
+async function helpCommand({ respond }) {
+  await respond({ response_type: 'ephemeral', text: helpText() });
+}
+
+// Run the matching subcommand, if any. Returns false when the text is a rating
+// request so the caller can go on to create it; unknown subcommands and invalid
+// arguments are answered here.
+async function dispatchSubcommand({ command, respond, client, store }) {
+  const text = (command.text || '').trim();
+  const [name] = text.split(/\s+/);
+  const spec = subcommands[name.toLowerCase()];
+  const reply = message => respond({ response_type: 'ephemeral', text: `⚠️ ${message}` });
+
+  if (!spec) {
+    if (!name || isRequestToken(name)) return false;
+    await reply(`Unknown command "${name}". See \`/rate help\` for what \`/rate\` can do.`);
+    return true;
+  }
+
+  const args = text.substring(name.length).trim();
+  let params;
+  try {
+    params = parseCommandArgs(name.toLowerCase(), spec, args);
+  } catch (error) {
+    await reply(error.message);
+    return true;
+  }
+
+  await spec.handler({ command, args, params, respond, client, store });
+  return true;
+}
+
+module.exports = { dispatchSubcommand, registerConfigView };
@@ -0,0 +1,70 @@
+const { getLeaderboard } = require('../stats');
+const { ratingsForAggregates } = require('../manipulation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOWS = {
+  week: { label: 'last 7 days', ms: 7 * DAY_MS },
+  month: { label: 'last 30 days', ms: 30 * DAY_MS },
+  all: { label: 'all time', ms: null }
+};
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+function buildLeaderboardBlocks(entries, { windowLabel, scopeLabel, minRatings }) {
+  const lines = entries.map(entry => {
+    const rank = entry.tied ? `=${entry.rank}` : `${entry.rank}`;
+    const medal = MEDALS[entry.rank] || '▫️';
+    return `${medal} *${rank}.* <@${entry.userId}> — ${entry.average.toFixed(2)} ⭐ (${entry.count} ratings)`;
+  });
+
+  return [
+    {
+      type: "header",
+      text: { type: "plain_text", text: `🏆 Leaderboard — ${scopeLabel}, ${windowLabel}` }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: lines.length > 0 ? lines.join('\n') : '_Nobody has enough ratings yet._'
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Minimum ${minRatings} ratings to qualify. "=" marks a tie.`
+        }
+      ]
+    }
+  ];
+}
+
+// Handle `/rate leaderboard [week|month|all] [channel|workspace]`
+async function leaderboardCommand({ command, params, respond, store }) {
+  const windowName = params.period || 'all';
+  const scope = params.scope || 'channel';
+
+  const timeWindow = WINDOWS[windowName];
+  const minRatings = parseInt(process.env.LEADERBOARD_MIN_RATINGS || '3', 10);
+
+  const entries = getLeaderboard(ratingsForAggregates(store), {
+    since: timeWindow.ms ? new Date(Date.now() - timeWindow.ms) : null,
+    channelId: scope === 'channel' ? command.channel_id : null,
+    minRatings
+  });
+
+  await respond({
+    response_type: 'in_channel',
+    text: `Rating leaderboard (${timeWindow.label})`,
+    blocks: buildLeaderboardBlocks(entries, {
+      windowLabel: timeWindow.label,
+      scopeLabel: scope === 'channel' ? 'this channel' : 'workspace',
+      minRatings
+    })
+  });
+}
+
+module.exports = { leaderboardCommand, buildLeaderboardBlocks };
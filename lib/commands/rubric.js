@@ -0,0 +1,48 @@
+const { parseCriteria } = require('../rubrics');
+const { isWorkspaceAdmin } = require('../users');
+
+function describeRubric(rubric) {
+  const criteria = rubric.criteria
+    .map(criterion => `${criterion.label} (1–${criterion.scale}, weight ${criterion.weight})`)
+    .join(', ');
+  return `*${rubric.name}*: ${criteria}`;
+}
+
+// Handle `/rate rubric [list|add|remove]`. Anyone can list rubrics; only
+// workspace admins can change them.
+async function rubricCommand({ command, params, respond, client, store }) {
+  const { action, name } = params;
+  const reply = text => respond({ response_type: 'ephemeral', text });
+
+  if (action === 'list') {
+    const rubrics = store.listRubrics();
+    await reply(rubrics.length > 0
+      ? rubrics.map(describeRubric).join('\n')
+      : 'No rubrics defined yet. Admins can add one with `/rate rubric add`.');
+    return;
+  }
+
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can manage rubrics.');
+    return;
+  }
+
+  if (action === 'remove') {
+    const removed = store.deleteRubric(name);
+    await reply(removed ? `Removed rubric *${removed.name}*.` : `⚠️ No rubric named "${name}".`);
+    return;
+  }
+
+  let criteria;
+  try {
+    criteria = parseCriteria(params.criteria);
+  } catch (error) {
+    await reply(`⚠️ ${error.message}`);
+    return;
+  }
+
+  const rubric = store.saveRubric({ name, criteria, createdBy: command.user_id, createdAt: new Date() });
+  await reply(`Saved rubric ${describeRubric(rubric)}\nUse it with \`/rate rubric:${name}\`.`);
+}
+
+module.exports = { rubricCommand };
@@ -0,0 +1,82 @@
+const { getUserStats, completedTime } = require('../stats');
+const { ratingsForAggregates } = require('../manipulation');
+const { resolveUserId } = require('../users');
+const { formatDate, formatScore } = require('../blocks');
+const { reviewerLabel } = require('../anonymity');
+
+const HISTOGRAM_WIDTH = 10;
+
+function buildStatsBlocks(stats) {
+  const average = stats.average === null ? 'n/a' : `${stats.average.toFixed(2)} ⭐`;
+  const maxCount = Math.max(...Object.values(stats.distribution), 1);
+
+  const histogram = [5, 4, 3, 2, 1].map(score => {
+    const count = stats.distribution[score];
+    const bar = '█'.repeat(Math.round((count / maxCount) * HISTOGRAM_WIDTH));
+    return `${score} ⭐ \`${bar.padEnd(HISTOGRAM_WIDTH, ' ')}\` ${count}`;
+  }).join('\n');
+
+  const recent = stats.recent.length > 0
+    ? stats.recent.map(r =>
+      `• ${reviewerLabel(r)} rated ${formatScore(r.rating)} ${'⭐'.repeat(Math.round(r.rating))} on ${formatDate(completedTime(r))}`
+    ).join('\n')
+    : '_No ratings received yet._';
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Rating stats for <@${stats.userId}>*`
+      }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Average score*\n${average}` },
+        { type: "mrkdwn", text: `*Ratings received*\n${stats.receivedCount}` },
+        { type: "mrkdwn", text: `*Ratings given*\n${stats.givenCount}` }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Score distribution*\n${histogram}`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Most recent ratings*\n${recent}`
+      }
+    }
+  ];
+}
+
+// Handle `/rate stats [@user]`. Defaults to the calling user.
+async function statsCommand({ command, params, respond, client, store }) {
+  let userId = command.user_id;
+
+  if (params.user) {
+    userId = await resolveUserId(client, params.user);
+    if (!userId) {
+      await respond({
+        response_type: 'ephemeral',
+        text: '⚠️ Please specify a valid user using @username format.'
+      });
+      return;
+    }
+  }
+
+  const stats = getUserStats(ratingsForAggregates(store), userId);
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Rating stats for <@${userId}>`,
+    blocks: buildStatsBlocks(stats)
+  });
+}
+
+module.exports = { statsCommand, buildStatsBlocks };
@@ -0,0 +1,46 @@
+const logger = require('../logger');
+const { isWorkspaceAdmin } = require('../users');
+const { createApiToken, revokeApiToken } = require('../tokens');
+const { formatDate } = require('../blocks');
+
+// Handle `/rate token [list|create|revoke]` for REST API tokens. Admins only.
+async function tokenCommand({ command, params, respond, client, store }) {
+  const reply = text => respond({ response_type: 'ephemeral', text });
+
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can manage API tokens.');
+    return;
+  }
+
+  const { action } = params;
+
+  if (action === 'list') {
+    const tokens = store.listApiTokens().filter(record => !record.revokedAt);
+    await reply(tokens.length > 0
+      ? tokens.map(record =>
+        `• \`${record.id}\` ${record.label} — created by <@${record.createdBy}> on ${formatDate(record.createdAt)}`
+      ).join('\n')
+      : 'No active API tokens.');
+    return;
+  }
+
+  if (action === 'create') {
+    const { label } = params;
+    const { token, record } = createApiToken(store, { label, createdBy: command.user_id });
+    logger.info(`API token ${record.id} created by ${command.user_id}`);
+    await reply(`🔑 API token \`${record.id}\` (${label}) created. Copy it now, it won't be shown again:\n\`${token}\``);
+    return;
+  }
+
+  if (action === 'revoke') {
+    const revoked = revokeApiToken(store, params.id);
+    if (!revoked) {
+      await reply(`⚠️ No active token with ID "${params.id}".`);
+      return;
+    }
+    logger.info(`API token ${revoked.id} revoked by ${command.user_id}`);
+    await reply(`Revoked API token \`${revoked.id}\` (${revoked.label}).`);
+  }
+}
+
+module.exports = { tokenCommand };
@@ -0,0 +1,92 @@
+const logger = require('../logger');
+const { isWorkspaceAdmin } = require('../users');
+const { EVENTS, createWebhook } = require('../webhooks');
+const { formatDate } = require('../blocks');
+
+const LOG_LIMIT = 10;
+
+// Slack wraps links in command text as <url> or <url|label>
+function parseUrl(text) {
+  const url = (text || '').replace(/^<([^|>]+)(\|[^>]*)?>$/, '$1');
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "created,completed" -> ['rating.created', 'rating.completed']; all events by default
+function parseEvents(text) {
+  if (!text) return EVENTS;
+  const events = text.split(',').map(name => `rating.${name.trim().replace(/^rating\./, '')}`);
+  return events.every(event => EVENTS.includes(event)) ? [...new Set(events)] : null;
+}
+
+function describeDelivery(delivery) {
+  const status = delivery.status === 'delivered' ? '✅' : delivery.status === 'failed' ? '❌' : '⏳';
+  const detail = delivery.error ? ` — ${delivery.error}` : '';
+  return `${status} \`${delivery.webhookId}\` ${delivery.event} on ${formatDate(delivery.createdAt)}, ` +
+    `${delivery.attempts} attempt(s)${detail}`;
+}
+
+// Handle `/rate webhook [list|add|remove|log]`. Admins only.
+async function webhookCommand({ command, params, respond, client, store }) {
+  const reply = text => respond({ response_type: 'ephemeral', text });
+
+  if (!await isWorkspaceAdmin(client, command.user_id)) {
+    await reply('⚠️ Only workspace admins can manage webhooks.');
+    return;
+  }
+
+  const { action } = params;
+
+  if (action === 'list') {
+    const webhooks = store.listWebhooks();
+    await reply(webhooks.length > 0
+      ? webhooks.map(webhook => `• \`${webhook.id}\` ${webhook.url} (${webhook.events.join(', ')})`).join('\n')
+      : 'No webhooks configured. Add one with `/rate webhook add <url>`.');
+    return;
+  }
+
+  if (action === 'add') {
+    const url = parseUrl(params.url);
+    const events = parseEvents(params.events);
+    if (!url) {
+      await reply(`⚠️ "${params.url}" is not a valid http(s) URL.`);
+      return;
+    }
+    if (!events) {
+      await reply(`⚠️ Events must be a comma-separated list of ${EVENTS.map(e => e.replace('rating.', '')).join(', ')}.`);
+      return;
+    }
+
+    const webhook = createWebhook(store, { url, events, createdBy: command.user_id });
+    logger.info(`Webhook ${webhook.id} for ${url} added by ${command.user_id}`);
+    await reply(`Webhook \`${webhook.id}\` added for ${events.join(', ')}. ` +
+      `Deliveries are signed with this secret, copy it now:\n\`${webhook.secret}\``);
+    return;
+  }
+
+  if (action === 'remove') {
+    const removed = store.deleteWebhook(params.id);
+    if (!removed) {
+      await reply(`⚠️ No webhook with ID "${params.id}".`);
+      return;
+    }
+    logger.info(`Webhook ${removed.id} removed by ${command.user_id}`);
+    await reply(`Removed webhook \`${removed.id}\` (${removed.url}).`);
+    return;
+  }
+
+  if (action === 'log') {
+    const deliveries = store.listWebhookDeliveries(delivery => !params.id || delivery.webhookId === params.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, LOG_LIMIT);
+    await reply(deliveries.length > 0
+      ? deliveries.map(describeDelivery).join('\n')
+      : 'No webhook deliveries yet.');
+  }
+}
+
+module.exports = { webhookCommand };
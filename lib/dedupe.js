@@ -0,0 +1,25 @@
+const logger = require('./logger');
+
+// Slack can deliver the same payload more than once (Events API retries,
+// timeouts on our side). Events carry a unique event_id and interactions a
+// unique trigger_id, so anything seen before is acknowledged and dropped.
+function payloadKey(body) {
+  if (body.event_id) return `event:${body.event_id}`;
+  if (body.trigger_id) return `trigger:${body.trigger_id}`;
+  return null;
+}
+
+// Global middleware. Uses the root store so keys are shared across workspaces.
+function dedupePayloads(store) {
+  return async ({ body, ack, next }) => {
+    const key = payloadKey(body);
+    if (key && !store.markPayloadSeen(key)) {
+      logger.info(`Ignoring duplicate payload ${key}`);
+      if (ack) await ack();
+      return;
+    }
+    await next();
+  };
+}
+
+module.exports = { dedupePayloads };
@@ -0,0 +1,134 @@
+const logger = require('./logger');
+const { expandReviews, average, completedTime, getLeaderboard } = require('./stats');
+const { formatDate } = require('./blocks');
+const { ratingsForAggregates } = require('./manipulation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_PERIODS = {
+  weekly: { label: 'Weekly', noun: 'week', ms: 7 * DAY_MS },
+  monthly: { label: 'Monthly', noun: 'month', ms: 30 * DAY_MS }
+};
+
+// A scheduled run can land a little before a full period is up, e.g. a daily
+// cron that fires a few seconds earlier than the one that sent the last digest
+const SCHEDULE_TOLERANCE_MS = 60 * 60 * 1000;
+const TOP_LIMIT = 3;
+const MOVERS_LIMIT = 3;
+
+function nextDigestAt(digest) {
+  return new Date(new Date(digest.lastSentAt).getTime() + DIGEST_PERIODS[digest.frequency].ms);
+}
+
+function isDigestDue(digest, now) {
+  return now.getTime() >= nextDigestAt(digest).getTime() - SCHEDULE_TOLERANCE_MS;
+}
+
+// Figures for one channel over the period ending at `now`. Movers are the
+// members whose average changed most since the period before, among those
+// ranked in both periods.
+function buildDigest(ratings, channelId, { period, now }) {
+  const since = new Date(now.getTime() - period.ms);
+  const previousSince = new Date(since.getTime() - period.ms);
+  const channelRatings = ratings.filter(r => r.channelId === channelId);
+  const minRatings = parseInt(process.env.LEADERBOARD_MIN_RATINGS || '3', 10);
+
+  const scores = expandReviews(channelRatings)
+    .filter(r => completedTime(r) >= since.getTime() && completedTime(r) < now.getTime())
+    .map(r => r.rating);
+  const current = getLeaderboard(channelRatings, { since, until: now, minRatings, limit: Infinity });
+  const previous = new Map(
+    getLeaderboard(channelRatings, { since: previousSince, until: since, minRatings, limit: Infinity })
+      .map(entry => [entry.userId, entry.average])
+  );
+
+  const movers = current
+    .filter(entry => previous.has(entry.userId))
+    .map(entry => ({
+      userId: entry.userId,
+      average: entry.average,
+      change: Math.round((entry.average - previous.get(entry.userId)) * 100) / 100
+    }))
+    .filter(mover => mover.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, MOVERS_LIMIT);
+
+  return {
+    completed: scores.length,
+    average: average(scores),
+    top: current.slice(0, TOP_LIMIT),
+    movers,
+    pending: channelRatings.filter(r => r.status === 'pending').length
+  };
+}
+
+function digestBlocks(digest, period) {
+  const top = digest.top.map((entry, index) =>
+    `${index + 1}. <@${entry.userId}> — ${entry.average.toFixed(2)} ⭐ (${entry.count} ratings)`);
+  const movers = digest.movers.map(mover =>
+    `${mover.change > 0 ? '📈' : '📉'} <@${mover.userId}> ${mover.change > 0 ? '+' : ''}${mover.change.toFixed(2)} (now ${mover.average.toFixed(2)} ⭐)`);
+
+  return [
+    {
+      type: "header",
+      text: { type: "plain_text", text: `📊 ${period.label} rating digest` }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Ratings completed*\n${digest.completed}` },
+        { type: "mrkdwn", text: `*Average score*\n${digest.average === null ? '–' : `${digest.average.toFixed(2)} ⭐`}` },
+        { type: "mrkdwn", text: `*Still pending*\n${digest.pending}` }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Top rated this ${period.noun}*\n${top.length > 0 ? top.join('\n') : '_Nobody has enough ratings yet._'}`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Biggest movers*\n${movers.length > 0 ? movers.join('\n') : `_No changes since last ${period.noun}._`}`
+      }
+    }
+  ];
+}
+
+// Post every digest that's due. Safe to run as often as you like: each
+// subscription posts at most once per period.
+async function runDigests({ client, store, now = new Date() }) {
+  let sent = 0;
+
+  for (const subscription of store.listDigests()) {
+    if (!isDigestDue(subscription, now)) continue;
+
+    const period = DIGEST_PERIODS[subscription.frequency];
+    const digest = buildDigest(ratingsForAggregates(store), subscription.channelId, { period, now });
+    try {
+      await client.chat.postMessage({
+        channel: subscription.channelId,
+        text: `${period.label} rating digest: ${digest.completed} ratings completed, ${digest.pending} pending`,
+        blocks: digestBlocks(digest, period)
+      });
+      store.saveDigest({ ...subscription, lastSentAt: now });
+      sent++;
+    } catch (error) {
+      logger.error(`Error posting digest to ${subscription.channelId}:`, error);
+    }
+  }
+
+  if (sent) {
+    logger.info(`Digests: ${sent} posted`);
+  }
+  return { sent };
+}
+
+function describeDigest(digest) {
+  return `a ${digest.frequency} rating digest. The next one is due ${formatDate(nextDigestAt(digest))}.`;
+}
+
+module.exports = { DIGEST_PERIODS, buildDigest, digestBlocks, runDigests, describeDigest };
@@ -0,0 +1,29 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a request stays open, and how long before expiry reviewers get a
+// reminder. Both in hours, configurable through the environment.
+function ttlMs() {
+  return parseFloat(process.env.RATING_TTL_HOURS || '72') * HOUR_MS;
+}
+
+function reminderLeadMs() {
+  return parseFloat(process.env.RATING_REMINDER_HOURS || '24') * HOUR_MS;
+}
+
+// Requests may carry their own expiresAt; older ones fall back to the TTL
+function expiresAt(rating) {
+  if (rating.expiresAt) return new Date(rating.expiresAt);
+  return new Date(new Date(rating.createdAt).getTime() + ttlMs());
+}
+
+function isExpired(rating, now = new Date()) {
+  return rating.status === 'expired' ||
+    (rating.status === 'pending' && now >= expiresAt(rating));
+}
+
+// Reviewers can edit or retract a rating for a while after submitting it
+function editDeadline(rating, settings) {
+  return new Date(new Date(rating.completedAt).getTime() + settings.editWindowMinutes * 60 * 1000);
+}
+
+module.exports = { ttlMs, reminderLeadMs, expiresAt, isExpired, editDeadline };
@@ -0,0 +1,53 @@
+const { ratedUserId, expandReviews } = require('./stats');
+const { isReviewedBy } = require('./anonymity');
+
+const COLUMNS = ['id', 'requesterId', 'ratedUserId', 'reviewerId', 'score', 'channelId', 'createdAt', 'completedAt', 'comment'];
+
+function toIso(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+// One row per submitted review. Anonymous reviewers are left blank. With a
+// userId, only ratings that user received or gave are included. ratedUserId
+// differs from requesterId for "Rate this message" requests.
+function buildExportRows(ratings, { userId = null, since = null } = {}) {
+  return expandReviews(ratings)
+    .filter(r => !userId || ratedUserId(r) === userId || isReviewedBy(r, r.id, userId))
+    .filter(r => !since || new Date(r.completedAt) >= since)
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .map(r => ({
+      id: r.id,
+      requesterId: r.requesterId,
+      ratedUserId: ratedUserId(r),
+      reviewerId: r.reviewerId || null,
+      score: r.rating,
+      channelId: r.channelId,
+      createdAt: toIso(r.createdAt),
+      completedAt: toIso(r.completedAt),
+      comment: r.comment || null
+    }));
+}
+
+// Spreadsheets run fields starting with these as formulas, so a comment such as
+// `=HYPERLINK(...)` gets a leading ' to keep it as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(COLUMNS.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(rows) {
+  return JSON.stringify(rows, null, 2);
+}
+
+module.exports = { buildExportRows, toCsv, toJson };
@@ -0,0 +1,132 @@
+const logger = require('./logger');
+const { ratedUserId, getUserStats, expandReviews, completedTime } = require('./stats');
+const { ratingsForAggregates } = require('./manipulation');
+const { isAwaitingReviewer } = require('./reviews');
+const { expiresAt } = require('./expiry');
+const { isReviewedBy, reviewerLabel } = require('./anonymity');
+const { ratingActionsBlock, formatDate, formatScore } = require('./blocks');
+
+const MAX_ITEMS = 10;
+
+function where(rating) {
+  return rating.channelId.startsWith('C') ? ` in <#${rating.channelId}>` : '';
+}
+
+function expiry(rating) {
+  return ` · expires ${formatDate(expiresAt(rating))}`;
+}
+
+function newestFirst(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+function emptyBlock(text) {
+  return {
+    type: "context",
+    elements: [{ type: "mrkdwn", text }]
+  };
+}
+
+function buildHomeView(store, userId) {
+  const ratings = store.listRatings();
+  const pending = ratings.filter(r => r.status === 'pending');
+
+  const waitingOn = pending.filter(r => r.requesterId === userId).sort(newestFirst).slice(0, MAX_ITEMS);
+  const toRate = pending.filter(r => isAwaitingReviewer(r, userId)).sort(newestFirst).slice(0, MAX_ITEMS);
+
+  const stats = getUserStats(ratingsForAggregates(store), userId);
+  const given = expandReviews(ratings)
+    .filter(r => isReviewedBy(r, r.id, userId))
+    .sort((a, b) => completedTime(b) - completedTime(a))
+    .slice(0, 5);
+
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Requests you're waiting on" }
+    }
+  ];
+
+  if (waitingOn.length === 0) {
+    blocks.push(emptyBlock('No open requests.'));
+  }
+  for (const r of waitingOn) {
+    const target = r.targetUserId ? ` from <@${r.targetUserId}>` : '';
+    const progress = r.quorum ? ` (${(r.reviews || []).length} of ${r.quorum} received)` : '';
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `Rating requested${target}${where(r)} on ${formatDate(r.createdAt)}${progress}${expiry(r)}` }
+    });
+  }
+
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Waiting for you to rate" }
+    }
+  );
+
+  if (toRate.length === 0) {
+    blocks.push(emptyBlock('Nothing to rate right now.'));
+  }
+  for (const r of toRate) {
+    blocks.push(
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `<@${r.requesterId}> requested a rating${where(r)} on ${formatDate(r.createdAt)}${expiry(r)}` }
+      },
+      ratingActionsBlock(r)
+    );
+  }
+
+  const average = stats.average === null ? 'n/a' : `${stats.average.toFixed(2)} ⭐`;
+  const received = stats.recent.map(r => `• ${reviewerLabel(r)} rated you ${formatScore(r.rating)} ${'⭐'.repeat(Math.round(r.rating))}`);
+  const givenLines = given.map(r => `• You rated <@${ratedUserId(r)}> ${formatScore(r.rating)} ${'⭐'.repeat(Math.round(r.rating))}`);
+
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Your recent ratings" }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Average received*\n${average}` },
+        { type: "mrkdwn", text: `*Received / given*\n${stats.receivedCount} / ${stats.givenCount}` }
+      ]
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Received*\n${received.join('\n') || '_None yet._'}` }
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Given*\n${givenLines.join('\n') || '_None yet._'}` }
+    }
+  );
+
+  return { type: "home", blocks };
+}
+
+async function publishHome(client, store, userId) {
+  await client.views.publish({
+    user_id: userId,
+    view: buildHomeView(store, userId)
+  });
+}
+
+function registerHome(app) {
+  app.event('app_home_opened', async ({ event, client, context }) => {
+    if (event.tab !== 'home') return;
+
+    try {
+      await publishHome(client, context.store, event.user);
+    } catch (error) {
+      logger.error('Error publishing home view:', error);
+    }
+  });
+}
+
+module.exports = { buildHomeView, publishHome, registerHome };
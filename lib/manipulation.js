@@ -0,0 +1,218 @@
+const { ratedUserId, expandReviews, average, completedTime } = require('./stats');
+const { WORKSPACE_SCOPE } = require('./settings');
+
+// Heuristics for spotting gamed ratings. They only look at named reviews:
+// anonymous reviewers are hashed per rating, so they can't be followed from
+// one rating to the next.
+
+// A reviewer "rates someone highly" after at least MIN_PAIR_RATINGS ratings
+// averaging HIGH_SCORE or more
+const HIGH_SCORE = 4.5;
+const MIN_PAIR_RATINGS = 2;
+const MAX_RING_SIZE = 5;
+// Reviewers need this many ratings before their average can be an outlier
+const MIN_OUTLIER_RATINGS = 5;
+const OUTLIER_Z_SCORE = 2;
+const BURST_COUNT = 5;
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+
+const FLAG_TYPES = {
+  reciprocal: '🔁 Reciprocal pair',
+  ring: '⭕ Rating ring',
+  outlier: '📐 Outlier reviewer',
+  burst: '⚡ Rating burst'
+};
+
+// Identifies one review: multi-reviewer ratings have several
+function reviewKey(ratingId, reviewerId) {
+  return `${ratingId}:${reviewerId}`;
+}
+
+// Named reviews grouped by reviewer -> rated user
+function buildEdges(entries) {
+  const edges = new Map();
+  for (const entry of entries) {
+    const to = ratedUserId(entry);
+    const key = `${entry.reviewerId}>${to}`;
+    if (!edges.has(key)) {
+      edges.set(key, { from: entry.reviewerId, to, entries: [] });
+    }
+    edges.get(key).entries.push(entry);
+  }
+  for (const edge of edges.values()) {
+    edge.average = average(edge.entries.map(entry => entry.rating));
+    edge.high = edge.entries.length >= MIN_PAIR_RATINGS && edge.average >= HIGH_SCORE;
+  }
+  return edges;
+}
+
+function keysOf(entries) {
+  return entries.map(entry => reviewKey(entry.id, entry.reviewerId));
+}
+
+function groupByReviewer(entries) {
+  const byReviewer = new Map();
+  for (const entry of entries) {
+    if (!byReviewer.has(entry.reviewerId)) byReviewer.set(entry.reviewerId, []);
+    byReviewer.get(entry.reviewerId).push(entry);
+  }
+  return byReviewer;
+}
+
+function findReciprocalPairs(edges) {
+  const flags = [];
+  for (const edge of edges.values()) {
+    const reverse = edges.get(`${edge.to}>${edge.from}`);
+    if (!edge.high || !reverse?.high || edge.from > edge.to) continue;
+
+    const entries = [...edge.entries, ...reverse.entries];
+    flags.push({
+      type: 'reciprocal',
+      userIds: [edge.from, edge.to],
+      reviewKeys: keysOf(entries),
+      detail: `<@${edge.from}> and <@${edge.to}> rated each other ${entries.length} times, ` +
+        `averaging ${average(entries.map(entry => entry.rating)).toFixed(2)} ⭐`
+    });
+  }
+  return flags;
+}
+
+// Cycles of three or more people who all rate the next person highly. Each
+// cycle is found once, starting from its smallest user ID.
+function findRings(edges) {
+  const next = new Map();
+  for (const edge of edges.values()) {
+    if (!edge.high) continue;
+    if (!next.has(edge.from)) next.set(edge.from, []);
+    next.get(edge.from).push(edge.to);
+  }
+
+  const flags = [];
+  const seen = new Set();
+  const visit = (start, path) => {
+    for (const userId of next.get(path[path.length - 1]) || []) {
+      if (userId === start && path.length >= 3) {
+        const members = [...path].sort().join(',');
+        if (seen.has(members)) continue;
+        seen.add(members);
+
+        const ringEdges = path.map((from, index) => edges.get(`${from}>${path[(index + 1) % path.length]}`));
+        flags.push({
+          type: 'ring',
+          userIds: [...path],
+          reviewKeys: keysOf(ringEdges.flatMap(edge => edge.entries)),
+          detail: `${[...path, start].map(id => `<@${id}>`).join(' → ')} all rate each other highly`
+        });
+      } else if (userId > start && !path.includes(userId) && path.length < MAX_RING_SIZE) {
+        visit(start, [...path, userId]);
+      }
+    }
+  };
+  for (const start of next.keys()) {
+    visit(start, [start]);
+  }
+  return flags;
+}
+
+// Reviewers whose average is far from everyone else's scores, e.g. someone
+// who gives every rating a 1
+function findOutliers(entries) {
+  const flags = [];
+  for (const [reviewerId, given] of groupByReviewer(entries)) {
+    if (given.length < MIN_OUTLIER_RATINGS) continue;
+
+    const others = entries.filter(entry => entry.reviewerId !== reviewerId).map(entry => entry.rating);
+    const mean = average(others);
+    const stdDev = others.length > 0 ? Math.sqrt(average(others.map(score => (score - mean) ** 2))) : 0;
+    if (!stdDev) continue;
+
+    const reviewerMean = average(given.map(entry => entry.rating));
+    const zScore = (reviewerMean - mean) / stdDev;
+    if (Math.abs(zScore) < OUTLIER_Z_SCORE) continue;
+
+    flags.push({
+      type: 'outlier',
+      userIds: [reviewerId],
+      reviewKeys: keysOf(given),
+      detail: `<@${reviewerId}> averages ${reviewerMean.toFixed(2)} ⭐ over ${given.length} ratings, ` +
+        `against ${mean.toFixed(2)} ⭐ from everyone else (z ${zScore.toFixed(1)})`
+    });
+  }
+  return flags;
+}
+
+// BURST_COUNT or more ratings from one reviewer within BURST_WINDOW_MS
+function findBursts(entries) {
+  const flags = [];
+  for (const [reviewerId, given] of groupByReviewer(entries)) {
+    const sorted = [...given].sort((a, b) => completedTime(a) - completedTime(b));
+    const inBurst = new Set();
+    let start = 0;
+    for (let end = 0; end < sorted.length; end++) {
+      while (completedTime(sorted[end]) - completedTime(sorted[start]) > BURST_WINDOW_MS) start++;
+      if (end - start + 1 >= BURST_COUNT) {
+        sorted.slice(start, end + 1).forEach(entry => inBurst.add(entry));
+      }
+    }
+    if (inBurst.size === 0) continue;
+
+    flags.push({
+      type: 'burst',
+      userIds: [reviewerId],
+      reviewKeys: keysOf([...inBurst]),
+      detail: `<@${reviewerId}> submitted ${inBurst.size} ratings in bursts of ${BURST_COUNT} or more ` +
+        `within ${BURST_WINDOW_MS / 60000} minutes`
+    });
+  }
+  return flags;
+}
+
+// Flag suspicious patterns across completed ratings. Each flag is
+// { type, userIds, reviewKeys, detail }, where reviewKeys name the reviews
+// involved.
+function detectManipulation(ratings) {
+  const entries = expandReviews(ratings).filter(entry => entry.reviewerId);
+  const edges = buildEdges(entries);
+  return [
+    ...findReciprocalPairs(edges),
+    ...findRings(edges),
+    ...findOutliers(entries),
+    ...findBursts(entries)
+  ];
+}
+
+// Drop flagged reviews, and ratings left with none
+function withoutFlagged(ratings, flags) {
+  const flagged = new Set(flags.flatMap(flag => flag.reviewKeys));
+  return ratings.flatMap(rating => {
+    if (rating.reviews) {
+      const reviews = rating.reviews.filter(review => !flagged.has(reviewKey(rating.id, review.reviewerId)));
+      if (reviews.length === rating.reviews.length) return [rating];
+      return reviews.length > 0 ? [{ ...rating, reviews }] : [];
+    }
+    return flagged.has(reviewKey(rating.id, rating.reviewerId)) ? [] : [rating];
+  });
+}
+
+function excludesFlagged(store) {
+  return Boolean(store.getSettings(WORKSPACE_SCOPE).excludeFlagged);
+}
+
+// Detection scans every pair of reviewers, so it runs once per expiry sweep
+// (and when an admin turns exclusion on) and the flags are cached in the store
+function refreshManipulationFlags(store) {
+  if (!excludesFlagged(store)) return null;
+  return store.saveManipulationFlags(detectManipulation(store.listRatings()));
+}
+
+// Ratings to count in stats, leaderboards and digests. Admins can have
+// flagged reviews left out with `/rate audit exclude`. Uses the flags from the
+// last sweep, so reviews since then are counted until it runs again.
+function ratingsForAggregates(store) {
+  const ratings = store.listRatings();
+  if (!excludesFlagged(store)) return ratings;
+  const flags = store.getManipulationFlags() || refreshManipulationFlags(store);
+  return withoutFlagged(ratings, flags);
+}
+
+module.exports = { FLAG_TYPES, detectManipulation, withoutFlagged, refreshManipulationFlags, ratingsForAggregates };
@@ -0,0 +1,76 @@
+// OAuth install flow for distributing the app to multiple workspaces. It is
+// enabled when SLACK_CLIENT_ID and SLACK_CLIENT_SECRET are set; otherwise the
+// app runs in a single workspace with SLACK_BOT_TOKEN.
+
+const DEFAULT_SCOPES = [
+  'commands',
+  'chat:write',
+  'users:read',
+  'channels:read',
+  'groups:read',
+  'im:read',
+  'im:write',
+  'files:write',
+  'usergroups:read',
+  'reactions:read'
+];
+
+function isOAuthEnabled() {
+  return Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET);
+}
+
+// Org-wide installs are stored under the enterprise ID, others under the team ID
+function installationKey({ isEnterpriseInstall, enterpriseId, teamId }) {
+  return isEnterpriseInstall && enterpriseId ? enterpriseId : teamId;
+}
+
+// Bolt installation store backed by the rating store
+function createInstallationStore(store) {
+  return {
+    storeInstallation: async installation => {
+      const key = installationKey({
+        isEnterpriseInstall: installation.isEnterpriseInstall,
+        enterpriseId: installation.enterprise?.id,
+        teamId: installation.team?.id
+      });
+      store.saveInstallation(key, installation);
+    },
+    fetchInstallation: async query => {
+      const installation = store.getInstallation(installationKey(query));
+      if (!installation) {
+        throw new Error(`No installation found for ${installationKey(query)}`);
+      }
+      return installation;
+    },
+    deleteInstallation: async query => {
+      store.deleteInstallation(installationKey(query));
+    }
+  };
+}
+
+// OAuth options for ExpressReceiver (or App), or none in single-workspace mode.
+// The install page is served at /slack/install and Slack redirects back to
+// /slack/oauth_redirect.
+function oauthOptions(store) {
+  if (!isOAuthEnabled()) return {};
+
+  return {
+    clientId: process.env.SLACK_CLIENT_ID,
+    clientSecret: process.env.SLACK_CLIENT_SECRET,
+    stateSecret: process.env.SLACK_STATE_SECRET,
+    scopes: process.env.SLACK_SCOPES ? process.env.SLACK_SCOPES.split(',') : DEFAULT_SCOPES,
+    installationStore: createInstallationStore(store),
+    installerOptions: {
+      installPath: '/slack/install',
+      redirectUriPath: '/slack/oauth_redirect'
+    }
+  };
+}
+
+// Bolt resolves tokens per team from the installation store under OAuth, and
+// refuses a fixed token alongside it
+function tokenOptions() {
+  return isOAuthEnabled() ? {} : { token: process.env.SLACK_BOT_TOKEN };
+}
+
+module.exports = { isOAuthEnabled, createInstallationStore, oauthOptions, tokenOptions };
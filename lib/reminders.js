@@ -0,0 +1,95 @@
+const logger = require('./logger');
+const { requestMessageText, formatDate } = require('./blocks');
+const { isMultiReview, hasReviewed } = require('./reviews');
+const { publishHome } = require('./home');
+const { expiresAt, reminderLeadMs } = require('./expiry');
+const { emitRatingEvent } = require('./webhooks');
+const { recordEvent } = require('./auditLog');
+const { refreshManipulationFlags } = require('./manipulation');
+
+// Reviewers who were asked for a rating and haven't responded yet
+function outstandingReviewers(rating) {
+  if (isMultiReview(rating)) {
+    return (rating.requiredReviewerIds || []).filter(id => !hasReviewed(rating, id));
+  }
+  return rating.targetUserId ? [rating.targetUserId] : [];
+}
+
+async function sendReminders(client, rating) {
+  const where = rating.channelId.startsWith('C') ? ` in <#${rating.channelId}>` : '';
+  for (const userId of outstandingReviewers(rating)) {
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `⏰ Reminder: <@${rating.requesterId}> is waiting for your rating${where}. ` +
+          `The request expires ${formatDate(expiresAt(rating))}. You can also rate from the app's Home tab.`
+      });
+    } catch (error) {
+      logger.error(`Error sending reminder for rating ${rating.id} to ${userId}:`, error);
+    }
+  }
+}
+
+async function expireRating(client, store, rating) {
+  const expired = store.patchRating(rating.id, { status: 'expired', expiredAt: new Date() });
+
+  logger.info(`Rating request ${rating.id} expired`);
+  emitRatingEvent(store, 'rating.expired', expired);
+  recordEvent(store, { type: 'expired', rating, before: rating, after: expired });
+
+  if (rating.messageTs) {
+    try {
+      await client.chat.update({
+        channel: rating.channelId,
+        ts: rating.messageTs,
+        text: `${requestMessageText(rating)} (expired)`,
+        blocks: [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: requestMessageText(rating) }
+          },
+          {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `⌛ This rating request expired on ${formatDate(expiresAt(rating))}.` }]
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error updating expired message:', error);
+    }
+  }
+
+  await Promise.all([rating.requesterId, ...outstandingReviewers(rating)].map(userId =>
+    publishHome(client, store, userId).catch(error => logger.error('Error publishing home view:', error))
+  ));
+
+  return expired;
+}
+
+// Send due reminders and expire overdue requests. Safe to run repeatedly:
+// each request is reminded once and expired once.
+async function runExpirySweep({ client, store, now = new Date() }) {
+  const result = { reminded: 0, expired: 0 };
+  refreshManipulationFlags(store);
+
+  for (const rating of store.listRatings(r => r.status === 'pending')) {
+    const expiry = expiresAt(rating);
+
+    if (now >= expiry) {
+      await expireRating(client, store, rating);
+      result.expired++;
+    } else if (!rating.reminderSentAt && now >= new Date(expiry.getTime() - reminderLeadMs())) {
+      store.patchRating(rating.id, { reminderSentAt: now });
+      await sendReminders(client, rating);
+      result.reminded++;
+    }
+  }
+
+  if (result.reminded || result.expired) {
+    logger.info(`Expiry sweep: ${result.reminded} reminded, ${result.expired} expired`);
+  }
+  return result;
+}
+
+module.exports = { runExpirySweep };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// A rating request's essential fields, signed and carried on its Submit button
+// and in the rating modal. On serverless deployments the instance handling a
+// click may never have seen the request, so the submit handlers rebuild it
+// from here. The signature stops anyone from crafting a request of their own.
+function secret() {
+  const value = process.env.REQUEST_STATE_SECRET || process.env.SLACK_SIGNING_SECRET;
+  if (!value) {
+    throw new Error('REQUEST_STATE_SECRET or SLACK_SIGNING_SECRET must be set to sign rating requests');
+  }
+  return value;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+function encodeRequestState(rating) {
+  const payload = Buffer.from(JSON.stringify({
+    id: rating.id,
+    requesterId: rating.requesterId,
+    targetUserId: rating.targetUserId || null,
+    channelId: rating.channelId,
+    createdAt: new Date(rating.createdAt).getTime(),
+    expiresAt: rating.expiresAt ? new Date(rating.expiresAt).getTime() : null,
+    anonymous: Boolean(rating.anonymous),
+    scale: rating.scale || null,
+    message: rating.message || null,
+    threadTs: rating.threadTs || null,
+    // Multi-reviewer and rubric requests need more than this to rebuild
+    restorable: !rating.quorum && !rating.rubric
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Rating IDs are UUIDs, so anything with a dot is signed state
+function isRequestState(value) {
+  return typeof value === 'string' && value.includes('.');
+}
+
+function decodeRequestState(value) {
+  const [payload, signature = ''] = value.split('.');
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('This rating request could not be verified');
+  }
+  return JSON.parse(Buffer.from(payload, 'base64url').toString());
+}
+
+// Verify the state and make sure the store has its rating, rebuilding a
+// pending record if this instance has never seen it. Returns the rating ID.
+function ratingIdFromState(store, value) {
+  const state = decodeRequestState(value);
+  if (!store.getRating(state.id) && state.restorable) {
+    store.restoreRating({
+      id: state.id,
+      requesterId: state.requesterId,
+      channelId: state.channelId,
+      ...(state.targetUserId && { targetUserId: state.targetUserId }),
+      ...(state.anonymous && { anonymous: true }),
+      ...(state.scale && { scale: state.scale }),
+      ...(state.message && { message: state.message, threadTs: state.threadTs }),
+      status: 'pending',
+      createdAt: new Date(state.createdAt),
+      ...(state.expiresAt && { expiresAt: new Date(state.expiresAt) })
+    });
+  }
+  return state.id;
+}
+
+module.exports = { encodeRequestState, isRequestState, decodeRequestState, ratingIdFromState };
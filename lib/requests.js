@@ -0,0 +1,193 @@
+const { resolveUserId, resolveUserGroupMembers } = require('./users');
+const { resolveSettings } = require('./settings');
+
+const MAX_QUORUM = 20;
+const MAX_BULK_TARGETS = 50;
+const MAX_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Options a rating request accepts, in the order `/rate help` lists them
+const REQUEST_OPTIONS = [
+  { name: 'anonymous', usage: 'anonymous', description: 'hide who gave each rating' },
+  { name: 'quorum', usage: 'quorum:N', description: `collect N ratings (up to ${MAX_QUORUM}) and show the average` },
+  { name: 'reviewers', usage: 'reviewers:@a,@b', description: 'only these people may rate' },
+  { name: 'rubric', usage: 'rubric:name', description: 'score each criterion of a rubric' },
+  { name: 'expires', usage: 'expires:48h', description: 'close the request after this long (m, h or d)' }
+];
+
+// Users, user groups and @names that can be asked for a rating
+const TARGET_REFERENCE = /^(<@[A-Z0-9]+(\|[^>]*)?>|<!subteam\^[A-Z0-9]+(\|[^>]*)?>|@\S+)$/;
+
+function parseDuration(value) {
+  const match = value.toLowerCase().match(/^(\d+)([mhd])$/);
+  const ms = match ? Number(match[1]) * DURATION_UNITS[match[2]] : 0;
+  if (!ms || ms > MAX_EXPIRY_MS) {
+    throw new Error(`Invalid expiry "${value}". Use a duration such as \`expires:30m\`, \`expires:48h\` or \`expires:7d\` (up to 30 days).`);
+  }
+  return ms;
+}
+
+// Whether the first word of `/rate` text starts a rating request rather than
+// naming a subcommand
+function isRequestToken(token) {
+  return TARGET_REFERENCE.test(token) || token.toLowerCase() === 'anonymous' ||
+    /^[a-z]+:/i.test(token);
+}
+
+// Parse `/rate [@user ...|@group] [reason] [options]`. Options may appear
+// anywhere; the users to ask come first and any other text after them is the
+// reason. Returns the options (including reason) plus the target references;
+// throws with a user-facing message on invalid input. options.anonymous is
+// only set when the requester asks for it. anonymousByDefault says whether the
+// channel's settings make requests anonymous, which only applies where
+// anonymity is possible.
+async function parseRequestOptions(client, command, store) {
+  const requesterId = command.user_id;
+  const options = {};
+  const targets = [];
+  const reason = [];
+
+  // Channel settings decide anonymity and the star scale by default
+  const settings = resolveSettings(store, command.channel_id);
+
+  for (const token of (command.text || '').trim().split(/\s+/).filter(Boolean)) {
+    if (token.toLowerCase() === 'anonymous') {
+      options.anonymous = true;
+      continue;
+    }
+
+    const match = token.match(/^([a-z]+):(.*)$/i);
+    const option = match && REQUEST_OPTIONS.find(candidate => candidate.name === match[1].toLowerCase());
+    if (!option) {
+      // Unrecognised `key:value` words are part of the reason, e.g. "note: ...".
+      // Before anyone is named there can't be a reason, so they must be typos.
+      if (reason.length === 0 && TARGET_REFERENCE.test(token)) {
+        targets.push(token);
+      } else if (targets.length === 0 && match) {
+        throw new Error(`Unknown option "${match[1]}:". See \`/rate help\` for the options you can use.`);
+      } else if (targets.length === 0) {
+        throw new Error(`Unexpected "${token}". A reason goes after the person you're asking, e.g. \`/rate @alice for the Q3 report\`.`);
+      } else {
+        reason.push(token);
+      }
+      continue;
+    }
+
+    const key = option.name;
+    const value = match[2];
+
+    if (key === 'expires') {
+      options.expiresAt = new Date(Date.now() + parseDuration(value));
+    } else if (key === 'quorum') {
+      const quorum = Number(value);
+      if (!Number.isInteger(quorum) || quorum < 1 || quorum > MAX_QUORUM) {
+        throw new Error(`Quorum must be a whole number between 1 and ${MAX_QUORUM}.`);
+      }
+      options.quorum = quorum;
+    } else if (key === 'rubric') {
+      const rubric = store.getRubric(value);
+      if (!rubric) {
+        throw new Error(`No rubric named "${value}". See \`/rate rubric list\`.`);
+      }
+      // Copy the rubric so later edits don't change this request
+      options.rubric = { name: rubric.name, criteria: rubric.criteria };
+    } else {
+      const refs = value.split(',').filter(Boolean);
+      if (refs.length === 0) {
+        throw new Error('Please list reviewers as `reviewers:@alice,@bob`.');
+      }
+
+      const reviewerIds = [];
+      for (const ref of refs) {
+        const userId = await resolveUserId(client, ref);
+        if (!userId) {
+          throw new Error(`Could not find user ${ref}.`);
+        }
+        if (userId === requesterId) {
+          throw new Error('You cannot review your own rating request.');
+        }
+        if (!reviewerIds.includes(userId)) reviewerIds.push(userId);
+      }
+      options.requiredReviewerIds = reviewerIds;
+    }
+  }
+
+  if (options.requiredReviewerIds) {
+    const reviewerCount = options.requiredReviewerIds.length;
+    if (options.quorum && options.quorum > reviewerCount) {
+      throw new Error(`Quorum of ${options.quorum} is more than the ${reviewerCount} reviewers listed.`);
+    }
+    options.quorum = options.quorum || reviewerCount;
+  }
+
+  // Rubrics bring their own scales
+  if (!options.rubric && settings.starScale !== 5) {
+    options.scale = settings.starScale;
+  }
+
+  if (reason.length > 0) {
+    options.reason = reason.join(' ');
+  }
+
+  return { options, targets, anonymousByDefault: Boolean(settings.anonymous) };
+}
+
+// The user named in `/rate @alice`, who alone may submit the rating. Returns
+// null when no one is named.
+async function parseTarget(client, command, targets, options) {
+  if (targets.length === 0) return null;
+  if (targets.length > 1) {
+    throw new Error('Please name a single user to rate, e.g. `/rate @alice`.');
+  }
+
+  const targetUserId = await resolveUserId(client, targets[0]);
+  if (!targetUserId) {
+    throw new Error('Please specify a valid user to rate using @username format.');
+  }
+  if (targetUserId === command.user_id) {
+    throw new Error('You cannot ask yourself for a rating.');
+  }
+  if (options.quorum) {
+    throw new Error('A request for one specific reviewer cannot also set a quorum or reviewers.');
+  }
+  // The request message names the reviewer
+  if (options.anonymous) {
+    throw new Error('A request for one specific reviewer cannot be anonymous.');
+  }
+  return targetUserId;
+}
+
+// `/rate @a @b @c` or `/rate @group` sends everyone named their own request by
+// DM. Returns their user IDs (never the requester's), or null when a single
+// user is named.
+async function parseBulkTargets(client, command, refs, options) {
+  if (refs.length === 0) return null;
+  if (refs.length === 1 && await resolveUserId(client, refs[0])) return null;
+
+  const userIds = [];
+  for (const ref of refs) {
+    const members = await resolveUserGroupMembers(client, ref);
+    const userId = members ? null : await resolveUserId(client, ref);
+    if (!members && !userId) {
+      throw new Error(`Could not find user or user group ${ref}.`);
+    }
+
+    for (const id of members || [userId]) {
+      if (id !== command.user_id && !userIds.includes(id)) userIds.push(id);
+    }
+  }
+
+  if (userIds.length === 0) {
+    throw new Error('There is no one to send a rating request to.');
+  }
+  if (userIds.length > MAX_BULK_TARGETS) {
+    throw new Error(`Bulk requests can go to at most ${MAX_BULK_TARGETS} people at once.`);
+  }
+  // Each request is a DM with one reviewer, where anonymity means nothing
+  if (options.quorum || options.anonymous) {
+    throw new Error('Bulk requests cannot use quorum, reviewers or anonymous.');
+  }
+  return userIds;
+}
+
+module.exports = { REQUEST_OPTIONS, isRequestToken, parseRequestOptions, parseTarget, parseBulkTargets };
@@ -0,0 +1,47 @@
+const { isReviewedBy } = require('./anonymity');
+
+// Multi-reviewer rating requests collect one review per reviewer in
+// `rating.reviews` and complete once `rating.quorum` reviews are in. When
+// `rating.requiredReviewerIds` is set, only those users may review.
+
+function isMultiReview(rating) {
+  return Boolean(rating.quorum);
+}
+
+function hasReviewed(rating, userId) {
+  return (rating.reviews || []).some(review => isReviewedBy(review, rating.id, userId));
+}
+
+function isQuorumMet(rating) {
+  return (rating.reviews || []).length >= rating.quorum;
+}
+
+// Whether this user still has to review the request
+function isAwaitingReviewer(rating, userId) {
+  if (rating.status !== 'pending') return false;
+  if (isMultiReview(rating)) {
+    return (rating.requiredReviewerIds || []).includes(userId) && !hasReviewed(rating, userId);
+  }
+  return rating.targetUserId === userId;
+}
+
+// Mean, median and spread (min, max, standard deviation) of a set of scores
+function summarizeScores(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / count;
+  const middle = Math.floor(count / 2);
+  const median = count % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  const variance = sorted.reduce((sum, score) => sum + (score - mean) ** 2, 0) / count;
+
+  return {
+    count,
+    mean,
+    median,
+    min: sorted[0],
+    max: sorted[count - 1],
+    stdDev: Math.sqrt(variance)
+  };
+}
+
+module.exports = { isMultiReview, hasReviewed, isQuorumMet, isAwaitingReviewer, summarizeScores };
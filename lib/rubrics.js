@@ -0,0 +1,81 @@
+// Rubrics replace the single 1–5 star score with several criteria, each with
+// its own scale and weight. A rubric is copied onto each rating when the
+// request is created, so editing it later doesn't affect pending requests.
+
+const MAX_SCALE = 10;
+const MAX_CRITERIA = 5;
+
+function slugify(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Parse "Communication:5:2, Quality:10, Timeliness" into criteria. Each entry
+// is `label[:scale[:weight]]`; scale defaults to 5 and weight to 1.
+function parseCriteria(text) {
+  const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('Please list at least one criterion, e.g. `Communication:5:2, Quality:10`.');
+  }
+  if (entries.length > MAX_CRITERIA) {
+    throw new Error(`A rubric can have at most ${MAX_CRITERIA} criteria.`);
+  }
+
+  const criteria = entries.map(entry => {
+    const [label, scaleText = '5', weightText = '1'] = entry.split(':').map(part => part.trim());
+    const scale = Number(scaleText);
+    const weight = Number(weightText);
+
+    if (!label) {
+      throw new Error(`Criterion "${entry}" needs a name.`);
+    }
+    if (!Number.isInteger(scale) || scale < 2 || scale > MAX_SCALE) {
+      throw new Error(`Scale for "${label}" must be a whole number between 2 and ${MAX_SCALE}.`);
+    }
+    if (!(weight > 0)) {
+      throw new Error(`Weight for "${label}" must be a positive number.`);
+    }
+
+    return { id: slugify(label), label, scale, weight };
+  });
+
+  const ids = criteria.map(criterion => criterion.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Criterion names must be unique.');
+  }
+
+  return criteria;
+}
+
+function scoreOptions(criterion) {
+  return Array.from({ length: criterion.scale }, (_, i) => ({
+    text: { type: "plain_text", text: `${i + 1}` },
+    value: `${i + 1}`
+  }));
+}
+
+// Map a 1..scale score linearly onto the 1–5 star range, so ratings on any
+// scale can be compared and aggregated
+function normalizeScore(score, scale) {
+  return 1 + ((score - 1) / (scale - 1)) * 4;
+}
+
+// Weighted mean of the criteria, each normalized to the 1–5 star range
+function overallScore(rubric, scores) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const criterion of rubric.criteria) {
+    const normalized = normalizeScore(scores[criterion.id], criterion.scale);
+    weighted += normalized * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+  return Math.round((weighted / totalWeight) * 100) / 100;
+}
+
+// "Communication 4/5 · Quality 8/10"
+function formatBreakdown(rubric, scores) {
+  return rubric.criteria
+    .map(criterion => `${criterion.label} ${scores[criterion.id]}/${criterion.scale}`)
+    .join(' · ');
+}
+
+module.exports = { parseCriteria, scoreOptions, normalizeScore, overallScore, formatBreakdown };
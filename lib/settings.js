@@ -0,0 +1,40 @@
+const { isAnonymousChannel } = require('./anonymity');
+
+// Behaviour that admins can configure with `/rate config`. Settings are stored
+// per channel with a workspace-wide fallback; anything unset uses these.
+const DEFAULT_SETTINGS = {
+  rateLimitMax: 5,
+  rateLimitWindowMinutes: 15,
+  editWindowMinutes: 15,
+  starScale: 5,
+  deleteOriginal: true,
+  resultVisibility: 'public',
+  anonymous: false,
+  // Reacting with the Nth emoji on a request message rates it N stars
+  reactionEmoji: ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'keycap_ten'],
+  // Workspace-wide only, set with `/rate audit exclude|include`
+  excludeFlagged: false
+};
+
+const WORKSPACE_SCOPE = 'workspace';
+
+// Effective settings for a channel: channel overrides, then workspace
+// settings, then defaults. ANONYMOUS_CHANNELS still marks channels anonymous
+// by default.
+function resolveSettings(store, channelId) {
+  return {
+    ...DEFAULT_SETTINGS,
+    anonymous: isAnonymousChannel(channelId),
+    ...store.getSettings(WORKSPACE_SCOPE),
+    ...store.getSettings(channelId)
+  };
+}
+
+function rateLimitFor(settings) {
+  return {
+    windowMs: settings.rateLimitWindowMinutes * 60 * 1000,
+    max: settings.rateLimitMax
+  };
+}
+
+module.exports = { DEFAULT_SETTINGS, WORKSPACE_SCOPE, resolveSettings, rateLimitFor };
@@ -0,0 +1,110 @@
+const { isReviewedBy } = require('./anonymity');
+
+// Aggregations over stored ratings. The reviewer is the person who submitted
+// the score; see ratedUserId for who received it.
+
+// The person a rating is about: the requester, or for "Rate this message"
+// requests, the message's author. Messages without a known author, e.g. from
+// bots, fall back to the requester.
+function ratedUserId(rating) {
+  return rating.message?.authorId || rating.requesterId;
+}
+
+function isCompleted(rating) {
+  return rating.status === 'completed' && typeof rating.rating === 'number';
+}
+
+// Flatten completed ratings into one entry per review, so a multi-reviewer
+// request counts once for each of its reviewers
+function expandReviews(ratings) {
+  const entries = [];
+  for (const r of ratings.filter(isCompleted)) {
+    if (r.reviews) {
+      for (const review of r.reviews) {
+        entries.push({
+          ...r,
+          reviewerId: review.reviewerId,
+          reviewerHash: review.reviewerHash,
+          rating: review.rating,
+          comment: review.comment,
+          completedAt: review.submittedAt
+        });
+      }
+    } else {
+      entries.push(r);
+    }
+  }
+  return entries;
+}
+
+function average(scores) {
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+function completedTime(rating) {
+  return new Date(rating.completedAt || rating.createdAt).getTime();
+}
+
+function getUserStats(ratings, userId, { recentLimit = 5 } = {}) {
+  const completed = expandReviews(ratings);
+  const received = completed.filter(r => ratedUserId(r) === userId);
+  const given = completed.filter(r => isReviewedBy(r, r.id, userId));
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  // Rubric scores can be fractional, so bucket by the nearest star
+  for (const r of received) {
+    const bucket = Math.round(r.rating);
+    if (distribution[bucket] !== undefined) distribution[bucket]++;
+  }
+
+  const recent = [...received]
+    .sort((a, b) => completedTime(b) - completedTime(a))
+    .slice(0, recentLimit);
+
+  return {
+    userId,
+    average: average(received.map(r => r.rating)),
+    receivedCount: received.length,
+    givenCount: given.length,
+    distribution,
+    recent
+  };
+}
+
+// Rank users by average score received. Users with fewer than `minRatings`
+// ratings in the window are left off so a single 5-star can't top the board.
+// Equal averages (to two decimals) share a rank: 1, 2, 2, 4.
+function getLeaderboard(ratings, { since = null, until = null, channelId = null, minRatings = 1, limit = 10 } = {}) {
+  const byUser = new Map();
+
+  for (const r of expandReviews(ratings)) {
+    if (channelId && r.channelId !== channelId) continue;
+    if (since && completedTime(r) < since.getTime()) continue;
+    if (until && completedTime(r) >= until.getTime()) continue;
+
+    const userId = ratedUserId(r);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(r.rating);
+  }
+
+  const entries = Array.from(byUser, ([userId, scores]) => ({
+    userId,
+    average: Math.round(average(scores) * 100) / 100,
+    count: scores.length
+  }))
+    .filter(entry => entry.count >= minRatings)
+    .sort((a, b) => b.average - a.average || b.count - a.count);
+
+  entries.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    entry.rank = previous && previous.average === entry.average ? previous.rank : index + 1;
+  });
+  entries.forEach(entry => {
+    entry.tied = entries.filter(other => other.rank === entry.rank).length > 1;
+  });
+
+  return entries.slice(0, limit);
+}
+
+module.exports = { ratedUserId, isCompleted, expandReviews, average, completedTime, getUserStats, getLeaderboard };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('./memory');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Turn serialized timestamps (createdAt, completedAt, ...) back into Dates
+function reviveDates(key, value) {
+  if (typeof value === 'string' && key.endsWith('At') && ISO_DATE.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+// JSON file storage adapter. Keeps everything in memory and rewrites the
+// whole file after each change, so data survives restarts. Appended records
+// (the audit log) go to a separate JSONL file next to it instead, one line
+// each, and are left out of the rewrite.
+class FileAdapter extends MemoryAdapter {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.logPath = this.filePath.replace(/\.json$/, '') + '.log.jsonl';
+    this.appendOnly = new Set();
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'), reviveDates);
+      for (const [name, entries] of Object.entries(data)) {
+        this.collections.set(name, new Map(Object.entries(entries)));
+      }
+    }
+
+    if (fs.existsSync(this.logPath)) {
+      for (const line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+        if (!line) continue;
+        const { name, key, value } = JSON.parse(line, reviveDates);
+        this.appendOnly.add(name);
+        super.set(name, key, value);
+      }
+    }
+  }
+
+  save() {
+    const data = {};
+    for (const [name, entries] of this.collections) {
+      if (!this.appendOnly.has(name)) data[name] = Object.fromEntries(entries);
+    }
+
+    // Write to a temp file first so a crash mid-write can't corrupt the store
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  set(name, key, value) {
+    super.set(name, key, value);
+    this.save();
+  }
+
+  append(name, key, value) {
+    super.append(name, key, value);
+    this.appendOnly.add(name);
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, JSON.stringify({ name, key, value }) + '\n');
+  }
+
+  delete(name, key) {
+    super.delete(name, key);
+    this.save();
+  }
+}
+
+module.exports = FileAdapter;
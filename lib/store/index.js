@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const MemoryAdapter = require('./memory');
+const FileAdapter = require('./file');
+const TeamAdapter = require('./team');
+
+// Ratings, settings and everything else are kept per workspace: use
+// forTeam(teamId) to get a store that only sees one workspace's data. The
+// root store holds installations, which span workspaces.
+class RatingStore {
+  constructor(adapter = new MemoryAdapter(), teamId = null) {
+    this.adapter = adapter;
+    this.teamId = teamId;
+    this.seenPayloads = new Map();
+  }
+
+  forTeam(teamId) {
+    if (!teamId) throw new Error('A team ID is required to scope the store');
+    return new RatingStore(new TeamAdapter(this.adapter, teamId), teamId);
+  }
+
+  // Workspaces with records in a collection (root store only)
+  listTeamIds(collection = 'ratings') {
+    const keys = this.adapter.entries(collection).map(([key]) => key);
+    return [...new Set(keys.filter(key => key.includes(':')).map(key => key.split(':')[0]))];
+  }
+
+  // Create new rating request. `fields` holds optional extras such as targetUserId.
+  createRating(requesterId, channelId, fields = {}) {
+    const id = crypto.randomUUID();
+    const rating = {
+      ...fields,
+      ...(this.teamId && { teamId: this.teamId }),
+      id,
+      requesterId,
+      channelId,
+      status: 'pending',
+      createdAt: new Date()
+    };
+    this.adapter.set('ratings', id, rating);
+    return rating;
+  }
+
+  // Put back a rating rebuilt from a request's signed state. Never
+  // overwrites a record this store already has.
+  restoreRating(rating) {
+    const existing = this.adapter.get('ratings', rating.id);
+    if (existing) return existing;
+
+    const restored = { ...rating, ...(this.teamId && { teamId: this.teamId }) };
+    this.adapter.set('ratings', rating.id, restored);
+    return restored;
+  }
+
+  // Get rating by ID
+  getRating(id) {
+    return this.adapter.get('ratings', id);
+  }
+
+  deleteRating(id) {
+    const existing = this.getRating(id);
+    if (existing) {
+      this.adapter.delete('ratings', id);
+      if (existing.messageTs) this.adapter.delete('messageIndex', `${existing.channelId}:${existing.messageTs}`);
+    }
+    return existing;
+  }
+
+  // List all ratings, optionally narrowed by a predicate
+  listRatings(filter = () => true) {
+    return this.adapter.values('ratings').filter(filter);
+  }
+
+  // The rating whose request message is at this ts. Looked up through an
+  // index, since every reaction in the workspace asks.
+  findRatingByMessage(channelId, messageTs) {
+    const id = this.adapter.get('messageIndex', `${channelId}:${messageTs}`);
+    return (id && this.getRating(id)) || null;
+  }
+
+  // Record where a rating's request message was posted
+  setRequestMessage(id, messageTs) {
+    const patched = this.patchRating(id, { messageTs });
+    if (patched) this.adapter.set('messageIndex', `${patched.channelId}:${messageTs}`, id);
+    return patched;
+  }
+
+  // Merge fields (e.g. the request message's ts) into an existing rating
+  patchRating(id, changes) {
+    const existing = this.adapter.get('ratings', id);
+    if (!existing) return null;
+
+    const patched = { ...existing, ...changes };
+    this.adapter.set('ratings', id, patched);
+    return patched;
+  }
+
+  // Append a reviewer's score to a multi-reviewer request. Returns null if
+  // the request is no longer pending or this reviewer is already recorded, so
+  // a concurrent duplicate submission can't slip in.
+  addReview(id, review) {
+    const existing = this.adapter.get('ratings', id);
+    if (!existing || existing.status !== 'pending') return null;
+
+    const sameReviewer = r => (review.reviewerId && r.reviewerId === review.reviewerId) ||
+      (review.reviewerHash && r.reviewerHash === review.reviewerHash);
+    if ((existing.reviews || []).some(sameReviewer)) return null;
+
+    const updated = {
+      ...existing,
+      reviews: [...(existing.reviews || []), review]
+    };
+    this.adapter.set('ratings', id, updated);
+    return updated;
+  }
+
+  // Complete a pending rating. `fields` holds optional extras such as the
+  // reviewer's comment. The status check and write happen in one synchronous
+  // step, so only the first of two concurrent submissions wins; the other
+  // gets null.
+  updateRating(id, reviewerId, rating, fields = {}) {
+    const existing = this.adapter.get('ratings', id);
+    if (!existing || existing.status !== 'pending') return null;
+
+    const updated = {
+      ...existing,
+      ...fields,
+      reviewerId,
+      rating,
+      status: 'completed',
+      completedAt: new Date()
+    };
+    this.adapter.set('ratings', id, updated);
+    return updated;
+  }
+
+  // Change a completed rating. The values being replaced are kept with the
+  // revision ({ type, at, reviewer fields }) in rating.revisions, so the
+  // history is never overwritten. Returns null once the rating is no longer
+  // completed, so an edit can't race a retraction.
+  reviseRating(id, changes, revision) {
+    const existing = this.adapter.get('ratings', id);
+    if (!existing || existing.status !== 'completed') return null;
+
+    const before = Object.fromEntries(Object.keys(changes).map(key => [key, existing[key] ?? null]));
+    const updated = {
+      ...existing,
+      ...changes,
+      revisions: [...(existing.revisions || []), { ...revision, before, after: changes }]
+    };
+    this.adapter.set('ratings', id, updated);
+    return updated;
+  }
+
+  // Rubrics are keyed by lower-cased name
+  saveRubric(rubric) {
+    this.adapter.set('rubrics', rubric.name.toLowerCase(), rubric);
+    return rubric;
+  }
+
+  getRubric(name) {
+    return this.adapter.get('rubrics', name.toLowerCase());
+  }
+
+  listRubrics() {
+    return this.adapter.values('rubrics');
+  }
+
+  deleteRubric(name) {
+    const existing = this.getRubric(name);
+    if (existing) this.adapter.delete('rubrics', name.toLowerCase());
+    return existing;
+  }
+
+  // Settings overrides for a scope (a channel ID or 'workspace')
+  getSettings(scope) {
+    return this.adapter.get('settings', scope) || {};
+  }
+
+  saveSettings(scope, settings) {
+    this.adapter.set('settings', scope, settings);
+    return settings;
+  }
+
+  // Manipulation flags as of the last expiry sweep, or null if not computed yet
+  getManipulationFlags() {
+    return this.adapter.get('manipulationFlags', 'latest')?.flags || null;
+  }
+
+  saveManipulationFlags(flags) {
+    this.adapter.set('manipulationFlags', 'latest', { flags, computedAt: new Date() });
+    return flags;
+  }
+
+  // REST API tokens, keyed by token ID
+  saveApiToken(record) {
+    this.adapter.set('apiTokens', record.id, record);
+    return record;
+  }
+
+  getApiToken(id) {
+    return this.adapter.get('apiTokens', id);
+  }
+
+  listApiTokens() {
+    return this.adapter.values('apiTokens');
+  }
+
+  // Outgoing webhook subscriptions, keyed by subscription ID
+  saveWebhook(webhook) {
+    this.adapter.set('webhooks', webhook.id, webhook);
+    return webhook;
+  }
+
+  getWebhook(id) {
+    return this.adapter.get('webhooks', id);
+  }
+
+  listWebhooks() {
+    return this.adapter.values('webhooks');
+  }
+
+  deleteWebhook(id) {
+    const existing = this.getWebhook(id);
+    if (existing) this.adapter.delete('webhooks', id);
+    return existing;
+  }
+
+  // One delivery log entry per event per subscription, updated on each attempt
+  saveWebhookDelivery(delivery) {
+    this.adapter.set('webhookDeliveries', delivery.id, delivery);
+    return delivery;
+  }
+
+  listWebhookDeliveries(filter = () => true) {
+    return this.adapter.values('webhookDeliveries').filter(filter);
+  }
+
+  // Digest subscriptions, one per channel
+  saveDigest(digest) {
+    this.adapter.set('digests', digest.channelId, digest);
+    return digest;
+  }
+
+  getDigest(channelId) {
+    return this.adapter.get('digests', channelId);
+  }
+
+  listDigests() {
+    return this.adapter.values('digests');
+  }
+
+  deleteDigest(channelId) {
+    const existing = this.getDigest(channelId);
+    if (existing) this.adapter.delete('digests', channelId);
+    return existing;
+  }
+
+  // Audit log of rating events. Append-only: there is deliberately no way to
+  // change or remove an event once recorded. With RATING_STORE=file events go
+  // to their own JSONL file rather than the main one.
+  appendAuditEvent(event) {
+    const recorded = { ...event, id: crypto.randomUUID() };
+    this.adapter.append('auditLog', recorded.id, recorded);
+    return recorded;
+  }
+
+  listAuditEvents(filter = () => true) {
+    return this.adapter.values('auditLog').filter(filter);
+  }
+
+  // OAuth installations, keyed by team ID (or enterprise ID for org-wide
+  // installs). Root store only.
+  saveInstallation(key, installation) {
+    this.adapter.set('installations', key, installation);
+    return installation;
+  }
+
+  getInstallation(key) {
+    return this.adapter.get('installations', key);
+  }
+
+  deleteInstallation(key) {
+    this.adapter.delete('installations', key);
+  }
+
+  // Which enterprise a workspace belongs to, so background jobs can find the
+  // org-wide installation for its data. Root store only.
+  linkTeamToEnterprise(teamId, enterpriseId) {
+    if (this.adapter.get('teamEnterprises', teamId) === enterpriseId) return;
+    this.adapter.set('teamEnterprises', teamId, enterpriseId);
+  }
+
+  getTeamEnterprise(teamId) {
+    return this.adapter.get('teamEnterprises', teamId);
+  }
+
+  // Remember an incoming Slack payload. Returns false if the same key was
+  // already seen within ttlMs, i.e. the payload is a retried delivery. Kept in
+  // process memory, not the adapter: keys only matter for a few minutes, and a
+  // write per payload would rewrite the whole file with RATING_STORE=file.
+  markPayloadSeen(key, ttlMs = 10 * 60 * 1000) {
+    const now = Date.now();
+    for (const [seenKey, seenAt] of this.seenPayloads) {
+      if (now - seenAt >= ttlMs) this.seenPayloads.delete(seenKey);
+    }
+
+    if (this.seenPayloads.has(key)) return false;
+    this.seenPayloads.set(key, now);
+    return true;
+  }
+
+  // How many more requests the user may make in the current window (5 per
+  // 15 minutes unless configured otherwise)
+  remainingRequests(userId, { windowMs = 15 * 60 * 1000, max = 5 } = {}) {
+    const now = Date.now();
+    const userRequests = this.adapter.get('rateLimits', userId) || [];
+
+    // Clean up old requests
+    const recentRequests = userRequests.filter(time => now - time < windowMs);
+    if (recentRequests.length !== userRequests.length) {
+      this.adapter.set('rateLimits', userId, recentRequests);
+    }
+
+    return Math.max(0, max - recentRequests.length);
+  }
+
+  // Check rate limit
+  checkRateLimit(userId, limit) {
+    return this.remainingRequests(userId, limit) === 0;
+  }
+
+  // Add rate limit entries, one per request sent
+  addRateLimitEntry(userId, count = 1) {
+    const userRequests = this.adapter.get('rateLimits', userId) || [];
+    for (let i = 0; i < count; i++) userRequests.push(Date.now());
+    this.adapter.set('rateLimits', userId, userRequests);
+  }
+}
+
+// Pick the storage backend from the environment:
+//   RATING_STORE=memory (default) keeps data in process memory
+//   RATING_STORE=file persists to RATING_STORE_PATH (default ./data/ratings.json),
+//     with the audit log appended to ratings.log.jsonl beside it
+function createStore() {
+  const backend = process.env.RATING_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new RatingStore(new MemoryAdapter());
+    case 'file':
+      return new RatingStore(new FileAdapter(process.env.RATING_STORE_PATH || './data/ratings.json'));
+    default:
+      throw new Error(`Unknown RATING_STORE backend: ${backend}`);
+  }
+}
+
+module.exports = { RatingStore, MemoryAdapter, FileAdapter, createStore };
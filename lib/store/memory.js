@@ -0,0 +1,40 @@
+// In-memory storage adapter. Data lives for the lifetime of the process.
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  get(name, key) {
+    return this.collection(name).get(key);
+  }
+
+  set(name, key, value) {
+    this.collection(name).set(key, value);
+  }
+
+  // Add a record that is never changed or removed afterwards
+  append(name, key, value) {
+    this.collection(name).set(key, value);
+  }
+
+  delete(name, key) {
+    this.collection(name).delete(key);
+  }
+
+  entries(name) {
+    return Array.from(this.collection(name).entries());
+  }
+
+  values(name) {
+    return Array.from(this.collection(name).values());
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,36 @@
+// Wraps another adapter so every key is prefixed with a workspace ID. Each
+// workspace sees only its own records, even though they share one backend.
+class TeamAdapter {
+  constructor(adapter, teamId) {
+    this.adapter = adapter;
+    this.prefix = `${teamId}:`;
+  }
+
+  get(name, key) {
+    return this.adapter.get(name, this.prefix + key);
+  }
+
+  set(name, key, value) {
+    this.adapter.set(name, this.prefix + key, value);
+  }
+
+  append(name, key, value) {
+    this.adapter.append(name, this.prefix + key, value);
+  }
+
+  delete(name, key) {
+    this.adapter.delete(name, this.prefix + key);
+  }
+
+  entries(name) {
+    return this.adapter.entries(name)
+      .filter(([key]) => key.startsWith(this.prefix))
+      .map(([key, value]) => [key.substring(this.prefix.length), value]);
+  }
+
+  values(name) {
+    return this.entries(name).map(([, value]) => value);
+  }
+}
+
+module.exports = TeamAdapter;
@@ -0,0 +1,57 @@
+const { WebClient } = require('@slack/web-api');
+const logger = require('./logger');
+const { isOAuthEnabled } = require('./oauth');
+
+function teamIdOf(context) {
+  return context.teamId || context.enterpriseId;
+}
+
+// Global middleware: listeners find a store scoped to the request's workspace
+// in context.store, so workspaces never see each other's data
+function scopeStoreToTeam(store) {
+  return async ({ context, next }) => {
+    const teamId = teamIdOf(context);
+    if (!teamId) {
+      throw new Error('Cannot scope the store: the request has no team or enterprise ID');
+    }
+
+    if (context.teamId && context.enterpriseId) {
+      store.linkTeamToEnterprise(context.teamId, context.enterpriseId);
+    }
+    context.store = store.forTeam(teamId);
+    await next();
+  };
+}
+
+// Background jobs run outside any Slack request, so they look up the team's
+// bot token themselves. Org-wide installs are stored under the enterprise ID,
+// so fall back to the workspace's enterprise.
+function clientForTeam(app, store, teamId) {
+  if (!isOAuthEnabled()) return app.client;
+
+  const enterpriseId = store.getTeamEnterprise(teamId);
+  const installation = store.getInstallation(teamId) ||
+    (enterpriseId && store.getInstallation(enterpriseId));
+  const token = installation?.bot?.token;
+  return token ? new WebClient(token) : null;
+}
+
+// Run a job once per workspace that has records in `collection`, with that
+// workspace's store and client. A failure in one workspace doesn't stop the rest.
+async function forEachTeam({ app, store, collection = 'ratings' }, job) {
+  for (const teamId of store.listTeamIds(collection)) {
+    const client = clientForTeam(app, store, teamId);
+    if (!client) {
+      logger.warn(`Skipping team ${teamId}: no installation found`);
+      continue;
+    }
+
+    try {
+      await job({ teamId, store: store.forTeam(teamId), client });
+    } catch (error) {
+      logger.error(`Error running job for team ${teamId}:`, error);
+    }
+  }
+}
+
+module.exports = { teamIdOf, scopeStoreToTeam, clientForTeam, forEachTeam };
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// API tokens for the REST API. Only a SHA-256 hash of each token is stored;
+// the token itself is shown once, when it is created. Tokens are created in a
+// workspace's store and only give access to that workspace's ratings.
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createApiToken(store, { label, createdBy }) {
+  const id = crypto.randomBytes(4).toString('hex');
+  const token = `rat_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = store.saveApiToken({
+    id,
+    label,
+    teamId: store.teamId,
+    hash: hashToken(token),
+    createdBy,
+    createdAt: new Date(),
+    revokedAt: null
+  });
+  return { token, record };
+}
+
+function revokeApiToken(store, id) {
+  const record = store.getApiToken(id);
+  if (!record || record.revokedAt) return null;
+  return store.saveApiToken({ ...record, revokedAt: new Date() });
+}
+
+// Returns the token's record if it is valid and not revoked. Pass the root
+// store, since the token could belong to any workspace.
+function verifyApiToken(store, token) {
+  if (!token) return null;
+
+  const hash = Buffer.from(hashToken(token), 'hex');
+  return store.listApiTokens().find(record =>
+    !record.revokedAt && crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), hash)
+  ) || null;
+}
+
+module.exports = { createApiToken, revokeApiToken, verifyApiToken };
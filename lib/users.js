@@ -0,0 +1,69 @@
+const logger = require('./logger');
+
+// Resolve a user reference from command text to a Slack user ID.
+// Accepts the mention format (<@USERID>) or a plain @username.
+async function resolveUserId(client, text) {
+  const mentionText = (text || '').trim();
+  if (!mentionText) return null;
+
+  // Extract user ID from mention format: <@USERID> or <@USERID|name>
+  const mentionMatch = mentionText.match(/<@([A-Z0-9]+)(?:\|[^>]*)?>/);
+  if (mentionMatch) {
+    logger.info(`User ID extracted from mention: ${mentionMatch[1]}`);
+    return mentionMatch[1];
+  }
+
+  // Handle plain @username format
+  if (mentionText.startsWith('@')) {
+    const username = mentionText.substring(1); // Remove the @ symbol
+    try {
+      // Lookup user by username through users.list
+      const usersList = await client.users.list();
+      const matchingUser = usersList.members.find(
+        member => member.name === username ||
+                 member.profile?.display_name === username ||
+                 member.real_name === username
+      );
+
+      if (matchingUser) {
+        logger.info(`User ID found for username ${username}: ${matchingUser.id}`);
+        return matchingUser.id;
+      }
+    } catch (listError) {
+      logger.error('Error listing users:', listError);
+    }
+  }
+
+  return null;
+}
+
+// Resolve a user group reference to its members' user IDs. Accepts the
+// mention format (<!subteam^GROUPID|@handle>) or a plain @handle. Returns null
+// if the text isn't a user group.
+async function resolveUserGroupMembers(client, text) {
+  const groupText = (text || '').trim();
+  let groupId = groupText.match(/<!subteam\^([A-Z0-9]+)(?:\|[^>]*)?>/)?.[1];
+
+  if (!groupId && groupText.startsWith('@')) {
+    try {
+      const { usergroups = [] } = await client.usergroups.list();
+      groupId = usergroups.find(group => group.handle === groupText.substring(1))?.id;
+    } catch (listError) {
+      logger.error('Error listing user groups:', listError);
+    }
+  }
+
+  if (!groupId) return null;
+
+  const { users = [] } = await client.usergroups.users.list({ usergroup: groupId });
+  logger.info(`User group ${groupId} has ${users.length} members`);
+  return users;
+}
+
+// Workspace admins and owners may manage app-wide configuration
+async function isWorkspaceAdmin(client, userId) {
+  const result = await client.users.info({ user: userId });
+  return Boolean(result.user?.is_admin || result.user?.is_owner);
+}
+
+module.exports = { resolveUserId, resolveUserGroupMembers, isWorkspaceAdmin };
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { serializeRating } = require('./api');
+
+const EVENTS = ['rating.created', 'rating.completed', 'rating.expired'];
+// An attempt that takes longer than this is abandoned
+const ATTEMPT_TIMEOUT_MS = 10000;
+// The sweep that sets nextAttemptAt starts a little before the one an interval
+// later, so retries due within this margin go out a sweep early
+const RETRY_TOLERANCE_MS = 60 * 1000;
+
+function maxAttempts() {
+  return Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+}
+
+// Retries only happen when the expiry sweep runs, so the first wait is one
+// sweep interval (EXPIRY_SWEEP_MINUTES, 15 by default) and doubles from there
+function retryBaseMs() {
+  return Number(process.env.WEBHOOK_RETRY_BASE_MS) ||
+    parseFloat(process.env.EXPIRY_SWEEP_MINUTES || '15') * 60 * 1000;
+}
+
+// Receivers verify deliveries by computing the same HMAC over
+// `<X-Rating-Timestamp>.<raw body>` with the subscription's secret
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhook(store, { url, events = EVENTS, createdBy }) {
+  return store.saveWebhook({
+    id: crypto.randomBytes(4).toString('hex'),
+    url,
+    events,
+    secret: crypto.randomBytes(24).toString('hex'),
+    createdBy,
+    createdAt: new Date()
+  });
+}
+
+// Client errors other than timeouts and rate limits won't succeed on retry
+function isRetryable(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+async function postEvent(webhook, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Rating-Event': delivery.event,
+      'X-Rating-Delivery': delivery.id,
+      'X-Rating-Timestamp': timestamp,
+      'X-Rating-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`
+    },
+    body: delivery.body,
+    signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)
+  });
+  return response.status;
+}
+
+// Make one attempt at a delivery and log the outcome. A failure that may
+// succeed later stays pending, with nextAttemptAt backing off exponentially
+// (one sweep interval, then two, four, ...) until the sweep retries it.
+async function attemptDelivery(store, webhook, delivery) {
+  let responseStatus = null;
+  let error = null;
+  try {
+    responseStatus = await postEvent(webhook, delivery);
+    if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const done = !error || !isRetryable(responseStatus) || attempts >= maxAttempts();
+  // The body is only kept for retries
+  const { body, ...logged } = delivery;
+  const updated = store.saveWebhookDelivery({
+    ...(done ? logged : delivery),
+    attempts,
+    responseStatus,
+    error,
+    status: error ? (done ? 'failed' : 'pending') : 'delivered',
+    lastAttemptAt: new Date(),
+    nextAttemptAt: done ? null : new Date(Date.now() + retryBaseMs() * 2 ** (attempts - 1))
+  });
+
+  if (updated.status === 'failed') {
+    logger.error(`Webhook ${webhook.id} failed to receive ${updated.event} after ${attempts} attempts: ${error}`);
+  }
+  return updated;
+}
+
+// POST one event to one subscription. Every attempt is written to the
+// delivery log.
+async function deliver(store, webhook, event, body) {
+  const delivery = store.saveWebhookDelivery({
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    event,
+    body,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: new Date(),
+    // If this first attempt never finishes, e.g. because a serverless function
+    // is frozen once it has responded, the sweep picks the delivery up
+    nextAttemptAt: new Date(Date.now() + ATTEMPT_TIMEOUT_MS)
+  });
+
+  return attemptDelivery(store, webhook, delivery);
+}
+
+// Retry pending deliveries that are due. Runs with the expiry sweep, so
+// backoff works whether or not the process outlives the request that emitted
+// the event.
+async function retryWebhookDeliveries({ store, now = new Date() }) {
+  const due = store.listWebhookDeliveries(delivery =>
+    delivery.status === 'pending' && delivery.nextAttemptAt &&
+    new Date(delivery.nextAttemptAt).getTime() - RETRY_TOLERANCE_MS <= now.getTime());
+
+  let retried = 0;
+  for (const delivery of due) {
+    const webhook = store.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      const { body, ...logged } = delivery;
+      store.saveWebhookDelivery({ ...logged, status: 'failed', error: 'Webhook was removed', nextAttemptAt: null });
+      continue;
+    }
+
+    try {
+      await attemptDelivery(store, webhook, delivery);
+      retried++;
+    } catch (error) {
+      logger.error(`Error retrying delivery ${delivery.id} to webhook ${webhook.id}:`, error);
+    }
+  }
+
+  if (retried) {
+    logger.info(`Webhook retries: ${retried} attempted`);
+  }
+  return { retried };
+}
+
+// Send a lifecycle event to every subscription that wants it. Never rejects,
+// so handlers can fire and forget without holding up their Slack response.
+async function emitRatingEvent(store, event, rating) {
+  const webhooks = store.listWebhooks().filter(webhook => webhook.events.includes(event));
+  if (webhooks.length === 0) return [];
+
+  const body = JSON.stringify({
+    event,
+    occurredAt: new Date().toISOString(),
+    rating: serializeRating(rating)
+  });
+
+  return Promise.all(webhooks.map(webhook =>
+    deliver(store, webhook, event, body).catch(error => {
+      logger.error(`Error delivering ${event} to webhook ${webhook.id}:`, error);
+      return null;
+    })
+  ));
+}
+
+module.exports = { EVENTS, signPayload, createWebhook, emitRatingEvent, retryWebhookDeliveries };